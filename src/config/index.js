@@ -1,5 +1,11 @@
 require('dotenv').config();
 
+/**
+ * Parse a non-negative integer environment variable, falling back to a default
+ */
+const parseNonNegativeInt = (value, defaultValue) =>
+  /^\d+$/.test(String(value ?? '').trim()) ? parseInt(value) : defaultValue;
+
 /**
  * Application configuration
  */
@@ -30,6 +36,28 @@ const config = {
   // API configuration
   api: {
     limit: process.env.REQUEST_SIZE_LIMIT || '512b' // Request body size limit
+  },
+
+  // Batch fusion configuration
+  batch: {
+    maxSize: parseInt(process.env.BATCH_MAX_SIZE) || 200, // Maximum pairs per batch
+    pairsPerRequest: parseInt(process.env.BATCH_PAIRS_PER_REQUEST) || 50, // Pairs counted as one rate-limited request
+    limit: process.env.BATCH_REQUEST_SIZE_LIMIT || '16kb' // Batch request body size limit
+  },
+
+  // HTTP caching configuration (lifetimes in seconds)
+  cache: {
+    imageMaxAge: parseNonNegativeInt(process.env.IMAGE_MAX_AGE, 86400), // Sprites, type icons and grids (24 hours)
+    fusionMaxAge: parseNonNegativeInt(process.env.FUSION_MAX_AGE, 0) // Seeded fusion responses (revalidated with ETags)
+  },
+
+  // Image rendering configuration
+  images: {
+    maxSize: parseInt(process.env.IMAGE_MAX_SIZE) || 1024, // Largest ?size= width in pixels
+    cacheMaxBytes: parseInt(process.env.IMAGE_CACHE_MAX_BYTES) || 64 * 1024 * 1024, // Memory for rendered images (64MB)
+    gridMaxHeads: parseInt(process.env.GRID_MAX_HEADS) || 20, // Maximum rows in a sprite grid
+    gridMaxBodies: parseInt(process.env.GRID_MAX_BODIES) || 20, // Maximum columns in a sprite grid
+    gridCellsPerRequest: parseInt(process.env.GRID_CELLS_PER_REQUEST) || 25 // Grid cells counted as one rate-limited request
   }
 };
 
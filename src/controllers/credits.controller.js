@@ -0,0 +1,90 @@
+const config = require('../config');
+const ImageService = require('../services/image.service');
+const logger = require('../utils/logger');
+const { parsePagination } = require('../utils/query');
+
+/**
+ * Controller for sprite credit API endpoints
+ */
+class CreditsController {
+  /**
+   * GET /api/credits/:artist - List every sprite credited to an artist
+   */
+  static async getArtistCredits (req, res) {
+    try {
+      logger.apiRequest('artist credits');
+      const startTime = Date.now();
+
+      const { artist } = req.params;
+      const pagination = parsePagination(req.query);
+      if (pagination.error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          message: pagination.error,
+          provided: { limit: req.query.limit, offset: req.query.offset }
+        });
+      }
+
+      const credits = ImageService.getArtistSprites(artist);
+      if (!credits) {
+        logger.warn('API', `Artist not found: ${artist}`);
+        return res.status(404).json({
+          success: false,
+          error: `No sprites credited to artist: ${artist}`
+        });
+      }
+
+      const { limit, offset } = pagination;
+      const sprites = credits.sprites
+        .map(spriteId => {
+          const [, headId, bodyId, variant] = spriteId.match(
+            /^(\d+)\.(\d+)([a-z]?)$/
+          );
+          return {
+            spriteId,
+            headId: parseInt(headId, 10),
+            bodyId: parseInt(bodyId, 10),
+            variant: variant || null
+          };
+        })
+        .sort(
+          (a, b) =>
+            a.headId - b.headId ||
+            a.bodyId - b.bodyId ||
+            (a.variant || '').localeCompare(b.variant || '')
+        );
+
+      const duration = Date.now() - startTime;
+      logger.apiResponse('artist credits', duration);
+
+      res.json({
+        success: true,
+        data: {
+          artist: credits.artist,
+          total: sprites.length,
+          limit,
+          offset,
+          results: sprites
+            .slice(offset, offset + limit)
+            .map(sprite => ({
+              ...sprite,
+              imageUrl: `${config.server.url}/api/images/fusion/${sprite.headId}/${sprite.bodyId}${sprite.variant ? `/${sprite.variant}` : ''}`
+            }))
+        },
+        processingTime: `${duration}ms`
+      });
+    } catch (error) {
+      logger.error('API', 'Error getting artist credits:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get artist credits',
+        ...(config.server.environment !== 'production' && {
+          details: error.message
+        })
+      });
+    }
+  }
+}
+
+module.exports = CreditsController;
@@ -2,6 +2,12 @@ const FusionService = require('../services/fusion.service');
 const PokemonService = require('../services/pokemon.service');
 const logger = require('../utils/logger');
 const config = require('../config');
+const { hashEtag, cacheControl } = require('../utils/cache');
+const {
+  isValidSeed,
+  generateSeed,
+  createSeededRandom
+} = require('../utils/random');
 
 /**
  * Controller for fusion-related API endpoints
@@ -10,41 +16,131 @@ class FusionController {
   /**
    * Normalized method to handle query parameter validation and service calls
    */
-  static async handleFusionRequest (req, res, serviceMethod, logContext) {
+  static async handleFusionRequest (
+    req,
+    res,
+    serviceMethod,
+    logContext,
+    validateOptions = null
+  ) {
     try {
       logger.apiRequest(logContext);
       const startTime = Date.now();
 
       // Extract and validate query parameters
-      const { head, body } = req.query;
-      let headPokemon = null;
-      let bodyPokemon = null;
-
-      if (head) {
-        headPokemon = PokemonService.normalizePokemonName(head);
-        if (!headPokemon) {
-          return res.status(400).json({
-            success: false,
-            error: `Invalid head Pokemon: ${head}. Use GET /api/pokemon to see available Pokemon.`
-          });
-        }
+      const parts = FusionController.resolvePokemonParams(req.query);
+      if (parts.error) {
+        return res.status(400).json(parts.error);
       }
+      const { headPokemon, bodyPokemon } = parts;
 
-      if (body) {
-        bodyPokemon = PokemonService.normalizePokemonName(body);
-        if (!bodyPokemon) {
-          return res.status(400).json({
-            success: false,
-            error: `Invalid body Pokemon: ${body}. Use GET /api/pokemon to see available Pokemon.`
-          });
-        }
+      // Seed random picks so any result can be replayed
+      const seedResult = FusionController.resolveSeed(req.query);
+      if (seedResult.error) {
+        return res.status(400).json(seedResult.error);
       }
+      const { seed } = seedResult;
+
+      // Validate filters that constrain random picks
+      const filterValidation = FusionService.validateRandomFilters(req.query);
+      if (!filterValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          message: filterValidation.error.message,
+          provided: filterValidation.error.provided
+        });
+      }
+
+      // Validate endpoint-specific query parameters
+      const validation = validateOptions
+        ? validateOptions(req.query)
+        : { valid: true, options: {} };
+      if (!validation.valid) {
+        return res
+          .status(400)
+          .json(FusionController.invalidParameters(validation.error));
+      }
+      const extraOptions = validation.options;
+
+      // Track whether the result depends on the seed at all
+      const seededRandom = createSeededRandom(seed);
+      let usedRandom = false;
+      const random = () => {
+        usedRandom = true;
+        return seededRandom();
+      };
 
       // Call the appropriate service method
-      const result = await serviceMethod({ headPokemon, bodyPokemon });
+      const result = await serviceMethod({
+        headPokemon,
+        bodyPokemon,
+        random,
+        ...filterValidation.options,
+        ...extraOptions
+      });
+      const duration = Date.now() - startTime;
+
+      logger.apiResponse(logContext, duration);
+
+      // Deterministic results revalidate regardless of the generated seed
+      FusionController.setDataValidators(
+        req,
+        res,
+        ...(usedRandom ? [seed] : [])
+      );
+      if (req.query.seed) {
+        // Seeded responses are reproducible, so shared caches may keep them
+        res.set('Cache-Control', cacheControl(config.cache.fusionMaxAge));
+      }
+
+      res.json({
+        success: true,
+        data: result,
+        seed,
+        processingTime: `${duration}ms`
+      });
+    } catch (error) {
+      FusionController.sendServiceError(res, error, logContext);
+    }
+  }
+
+  /**
+   * Handle endpoints whose result is fully determined by the query
+   * Unlike handleFusionRequest there is no seed and no random filters; head and
+   * body are passed through as given (null when omitted).
+   */
+  static async handleDataRequest (
+    req,
+    res,
+    serviceMethod,
+    logContext,
+    validateOptions
+  ) {
+    try {
+      logger.apiRequest(logContext);
+      const startTime = Date.now();
+
+      const parts = FusionController.resolvePokemonParams(req.query);
+      if (parts.error) {
+        return res.status(400).json(parts.error);
+      }
+
+      const validation = validateOptions(req.query);
+      if (!validation.valid) {
+        return res
+          .status(400)
+          .json(FusionController.invalidParameters(validation.error));
+      }
+
+      const result = await serviceMethod({
+        ...parts,
+        ...validation.options
+      });
       const duration = Date.now() - startTime;
 
       logger.apiResponse(logContext, duration);
+      FusionController.setDataValidators(req, res);
 
       res.json({
         success: true,
@@ -52,10 +148,159 @@ class FusionController {
         processingTime: `${duration}ms`
       });
     } catch (error) {
-      logger.error('API', `Error in ${logContext}:`, error.message);
+      FusionController.sendServiceError(res, error, logContext);
+    }
+  }
+
+  /**
+   * Normalize the optional head/body query parameters
+   * @returns {Object} { headPokemon, bodyPokemon } (null when omitted) or { error } with the 400 response body
+   */
+  static resolvePokemonParams (query) {
+    const parts = { headPokemon: null, bodyPokemon: null };
+
+    for (const [part, key] of [
+      ['head', 'headPokemon'],
+      ['body', 'bodyPokemon']
+    ]) {
+      const value = query[part];
+      if (!value) continue;
+
+      parts[key] = PokemonService.normalizePokemonName(value);
+      if (!parts[key]) {
+        return {
+          error: {
+            success: false,
+            error: `Invalid ${part} Pokemon: ${value}. Use GET /api/pokemon to see available Pokemon.`,
+            suggestions: PokemonService.suggestPokemonNames(value)
+          }
+        };
+      }
+    }
+
+    return parts;
+  }
+
+  /**
+   * Build the 400 response body of a failed validation
+   */
+  static invalidParameters (error) {
+    return {
+      success: false,
+      error: 'Invalid parameters',
+      message: error.message,
+      provided: error.provided,
+      ...(error.suggestions && { suggestions: error.suggestions })
+    };
+  }
+
+  /**
+   * Respond to an error thrown by a service method (404 for missing results)
+   */
+  static sendServiceError (res, error, logContext) {
+    if (error.statusCode === 404) {
+      logger.warn('API', `No result for ${logContext}:`, error.message);
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('API', `Error in ${logContext}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: `Failed to get ${logContext}`,
+      ...(config.server.environment !== 'production' && {
+        details: error.message
+      })
+    });
+  }
+
+  /**
+   * Set an ETag derived from the data version, the request and what its result
+   * depends on; Express answers 304 when it matches If-None-Match. The ETag is
+   * weak because timestamps and processing times differ between responses.
+   */
+  static setDataValidators (req, res, ...dependencies) {
+    res.set(
+      'ETag',
+      hashEtag(
+        [FusionService.dataVersion, req.method, req.originalUrl, ...dependencies],
+        { weak: true }
+      )
+    );
+  }
+
+  /**
+   * Use the seed query parameter, or generate one, for reproducible random picks
+   * @returns {Object} { seed } or { error } with the 400 response body
+   */
+  static resolveSeed (query) {
+    const { seed = generateSeed() } = query;
+
+    if (!isValidSeed(seed)) {
+      return {
+        error: {
+          success: false,
+          error: 'Invalid parameters',
+          message: 'seed must be 1-64 letters, digits, underscores or hyphens',
+          provided: { seed }
+        }
+      };
+    }
+
+    return { seed };
+  }
+
+  /**
+   * POST /api/fusion/batch - Generate fusions for many head/body pairs at once
+   */
+  static async getFusionBatch (req, res) {
+    try {
+      logger.apiRequest('fusion batch');
+      const startTime = Date.now();
+
+      const validation = FusionService.validateBatchPairs(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          message: validation.error.message,
+          provided: validation.error.provided
+        });
+      }
+
+      const seedResult = FusionController.resolveSeed(req.query);
+      if (seedResult.error) {
+        return res.status(400).json(seedResult.error);
+      }
+      const { seed } = seedResult;
+
+      const results = await FusionService.generateFusionBatch(
+        validation.pairs,
+        createSeededRandom(seed)
+      );
+      const succeeded = results.filter(result => result.success).length;
+      const duration = Date.now() - startTime;
+
+      logger.apiResponse('fusion batch', duration);
+
+      res.json({
+        success: true,
+        data: {
+          results,
+          count: results.length,
+          succeeded,
+          failed: results.length - succeeded
+        },
+        seed,
+        processingTime: `${duration}ms`
+      });
+    } catch (error) {
+      logger.error('API', 'Error in fusion batch:', error.message);
       res.status(500).json({
         success: false,
-        error: `Failed to get ${logContext}`,
+        error: 'Failed to get fusion batch',
         ...(config.server.environment !== 'production' && {
           details: error.message
         })
@@ -63,6 +308,70 @@ class FusionController {
     }
   }
 
+  /**
+   * GET /api/fusion/daily - Get the fusion of the day (same for every client)
+   */
+  static async getDailyFusion (req, res) {
+    try {
+      logger.apiRequest('daily fusion');
+      const startTime = Date.now();
+
+      const validation = FusionService.validateDailyOptions(req.query);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          message: validation.error.message,
+          provided: validation.error.provided
+        });
+      }
+
+      const { date, timezone } = validation;
+      const { seed, fusion } = await FusionService.getDailyFusion(date);
+      const duration = Date.now() - startTime;
+
+      logger.apiResponse('daily fusion', duration);
+
+      // Expire cached copies at the next day boundary in the requested timezone
+      const maxAge = FusionService.getSecondsUntilNextDay(timezone);
+      res.set({
+        'Cache-Control': `public, max-age=${maxAge}`,
+        Expires: new Date(Date.now() + maxAge * 1000).toUTCString()
+      });
+      FusionController.setDataValidators(req, res, date);
+
+      res.json({
+        success: true,
+        data: {
+          date,
+          timezone,
+          ...fusion
+        },
+        seed,
+        processingTime: `${duration}ms`
+      });
+    } catch (error) {
+      logger.error('API', 'Error in daily fusion:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get daily fusion',
+        ...(config.server.environment !== 'production' && {
+          details: error.message
+        })
+      });
+    }
+  }
+
+  /**
+   * Number of rate limit hits a batch request costs
+   * Oversized batches cost one hit so they reach validation and get a 400.
+   */
+  static getBatchWeight (req) {
+    const size = Array.isArray(req.body) ? req.body.length : 0;
+    if (size > config.batch.maxSize) return 1;
+    return Math.max(Math.ceil(size / config.batch.pairsPerRequest), 1);
+  }
+
   /**
    * GET /api/fusion - Get a fusion with all data
    */
@@ -71,7 +380,8 @@ class FusionController {
       req,
       res,
       FusionService.generateFusion,
-      'complete fusion data'
+      'complete fusion data',
+      FusionService.validateDexEntryOptions
     );
   }
 
@@ -100,14 +410,128 @@ class FusionController {
   }
 
   /**
-   * GET /api/fusion/stats - Get only fusion stats
+   * GET /api/fusion/stats - Get only fusion stats (optionally at a level with IVs, EVs and nature)
    */
   static async getFusionStats (req, res) {
     return FusionController.handleFusionRequest(
       req,
       res,
       FusionService.getFusionStats,
-      'fusion stats'
+      'fusion stats',
+      FusionService.validateStatOptions
+    );
+  }
+
+  /**
+   * GET /api/fusion/abilities - Get only the fusion ability pool
+   */
+  static async getFusionAbilities (req, res) {
+    return FusionController.handleFusionRequest(
+      req,
+      res,
+      FusionService.getFusionAbilities,
+      'fusion abilities'
+    );
+  }
+
+  /**
+   * GET /api/fusion/moves - Get the combined fusion learnset
+   */
+  static async getFusionMoves (req, res) {
+    return FusionController.handleFusionRequest(
+      req,
+      res,
+      FusionService.getFusionMoves,
+      'fusion moves'
+    );
+  }
+
+  /**
+   * GET /api/fusion/compare - Compare both head/body orderings of two Pokemon
+   */
+  static async getFusionComparison (req, res) {
+    return FusionController.handleFusionRequest(
+      req,
+      res,
+      FusionService.getFusionComparison,
+      'fusion comparison',
+      FusionService.validateComparisonOptions
+    );
+  }
+
+  /**
+   * GET /api/fusion/search - Search all fusions by resulting type combination
+   */
+  static async searchFusions (req, res) {
+    return FusionController.handleDataRequest(
+      req,
+      res,
+      FusionService.searchFusions,
+      'fusion search',
+      FusionService.validateSearchOptions
+    );
+  }
+
+  /**
+   * GET /api/fusion/top - Get the highest ranked fusions by stat or base stat total
+   */
+  static async getTopFusions (req, res) {
+    return FusionController.handleDataRequest(
+      req,
+      res,
+      FusionService.getTopFusions,
+      'top fusions',
+      FusionService.validateLeaderboardOptions
+    );
+  }
+
+  /**
+   * GET /api/fusion/lookup - Resolve a fusion name back to its head/body pairs
+   */
+  static async lookupFusionName (req, res) {
+    return FusionController.handleDataRequest(
+      req,
+      res,
+      FusionService.lookupFusionName,
+      'fusion name lookup',
+      FusionService.validateLookupOptions
+    );
+  }
+
+  /**
+   * GET /api/fusion/triple - Get a known triple fusion with all data
+   */
+  static async getTripleFusion (req, res) {
+    return FusionController.handleFusionRequest(
+      req,
+      res,
+      FusionService.getTripleFusion,
+      'triple fusion',
+      FusionService.validateTripleOptions
+    );
+  }
+
+  /**
+   * GET /api/fusion/evolutions - Get the fused evolution tree
+   */
+  static async getFusionEvolutions (req, res) {
+    return FusionController.handleFusionRequest(
+      req,
+      res,
+      FusionService.getFusionEvolutions,
+      'fusion evolutions'
+    );
+  }
+
+  /**
+   * GET /api/fusion/matchups - Get type matchups (weaknesses, resistances, immunities)
+   */
+  static async getFusionMatchups (req, res) {
+    return FusionController.handleFusionRequest(
+      req,
+      res,
+      FusionService.getFusionMatchups,
+      'fusion matchups'
     );
   }
 
@@ -119,7 +543,21 @@ class FusionController {
       req,
       res,
       FusionService.getFusionPokedex,
-      'fusion pokedex'
+      'fusion pokedex',
+      FusionService.validateDexEntryOptions
+    );
+  }
+
+  /**
+   * GET /api/fusion/pokedex/entries - List every custom Pokédex entry
+   */
+  static async getFusionPokedexEntries (req, res) {
+    return FusionController.handleDataRequest(
+      req,
+      res,
+      FusionService.getFusionPokedexEntries,
+      'fusion pokedex entries',
+      FusionService.validateEntriesOptions
     );
   }
 }
@@ -1,15 +1,85 @@
 const ImageService = require('../services/image.service');
+const FusionService = require('../services/fusion.service');
+const PokemonService = require('../services/pokemon.service');
+const RenderService = require('../services/render.service');
 const logger = require('../utils/logger');
+const config = require('../config');
+const { fileEtag, hashEtag, cacheControl } = require('../utils/cache');
 const path = require('path');
+const fs = require('fs').promises;
 
 /**
  * Controller for image-related API endpoints
  */
 class ImageController {
+  /**
+   * Send an image file, resized/re-encoded when render options ask for it
+   * Validators come from the file itself, so unchanged sprites answer 304.
+   */
+  static async sendImage (req, res, filePath, renderOptions) {
+    const stat = await fs.stat(filePath);
+
+    res.set({
+      'Cache-Control': cacheControl(config.cache.imageMaxAge),
+      ETag: fileEtag(stat, RenderService.getVariantKey(renderOptions)),
+      'Last-Modified': stat.mtime.toUTCString()
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    if (RenderService.isPassthrough(renderOptions)) {
+      return res.sendFile(filePath, {
+        etag: false,
+        lastModified: false,
+        cacheControl: false
+      });
+    }
+
+    const { buffer, contentType } = await RenderService.render(
+      filePath,
+      renderOptions
+    );
+    res.set('Content-Type', contentType);
+    res.send(buffer);
+  }
+
+  /**
+   * Validate render options, sending a 400 response when invalid
+   * @returns {Object|null} Render options, or null if a response was sent
+   */
+  static validateRenderOptions (req, res) {
+    const validation = RenderService.validateRenderOptions(req.query);
+    if (!validation.valid) {
+      logger.warn(
+        'IMAGES',
+        `Invalid render options: ${validation.error.message}`
+      );
+      res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: validation.error.message,
+        provided: validation.error.provided
+      });
+      return null;
+    }
+    return validation.options;
+  }
+
+  /**
+   * Make an attribution safe for a header, percent-encoding non-ASCII artist names
+   */
+  static toHeaderValue (attribution) {
+    return /^[\x20-\x7e]*$/.test(attribution)
+      ? attribution
+      : encodeURIComponent(attribution);
+  }
+
   /**
    * GET /api/images/fusion/:headId/:bodyId - Serve fusion image
    */
-  static getFusionImage (req, res) {
+  static async getFusionImage (req, res) {
     try {
       const { headId, bodyId } = req.params;
 
@@ -29,6 +99,9 @@ class ImageController {
         });
       }
 
+      const renderOptions = ImageController.validateRenderOptions(req, res);
+      if (!renderOptions) return;
+
       // Generate local image path using service
       const imageResult = ImageService.generateFusionImagePath(
         validation.headId,
@@ -41,16 +114,17 @@ class ImageController {
         `Serving fusion image: ${validation.headId}.${validation.bodyId} (${imageResult.attribution})`
       );
 
-      // Set caching headers for the image
+      // Set attribution headers for the image (caching headers come from the file)
       res.set({
-        'Cache-Control': 'public, max-age=86400', // Cache for 24 hours
-        'X-Image-Source': imageResult.attribution,
+        'X-Image-Source': ImageController.toHeaderValue(
+          imageResult.attribution
+        ),
         'Content-Type': 'image/png'
       });
 
-      // Serve the local file
+      // Serve the local file, resized/re-encoded when requested
       const imagePath = path.join(__dirname, '..', imageResult.imageUrl);
-      res.sendFile(imagePath);
+      await ImageController.sendImage(req, res, imagePath, renderOptions);
     } catch (error) {
       logger.error(
         'IMAGES',
@@ -65,10 +139,287 @@ class ImageController {
     }
   }
 
+  /**
+   * GET /api/images/fusion/:headId/:bodyId/:variant - Serve alternate fusion image
+   */
+  static async getFusionVariantImage (req, res) {
+    try {
+      const { headId, bodyId, variant } = req.params;
+
+      const validation = ImageService.validateFusionParams(headId, bodyId);
+      const variantValidation = ImageService.validateVariant(variant);
+
+      if (!validation.valid || !variantValidation.valid) {
+        const error = validation.valid
+          ? variantValidation.error
+          : validation.error;
+        logger.warn(
+          'IMAGES',
+          `Invalid parameters: head=${headId}, body=${bodyId}, variant=${variant}`
+        );
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          message: error.message,
+          provided: error.provided
+        });
+      }
+
+      const renderOptions = ImageController.validateRenderOptions(req, res);
+      if (!renderOptions) return;
+
+      const imageResult = ImageService.generateVariantImagePath(
+        validation.headId,
+        validation.bodyId,
+        variantValidation.variant
+      );
+
+      if (!imageResult) {
+        logger.warn(
+          'IMAGES',
+          `Variant not found: ${validation.headId}.${validation.bodyId}${variantValidation.variant}`
+        );
+        return res.status(404).json({
+          success: false,
+          error: 'Variant not found',
+          message: `Fusion ${validation.headId}.${validation.bodyId} has no variant '${variantValidation.variant}'`,
+          provided: { headId, bodyId, variant }
+        });
+      }
+
+      logger.info(
+        'IMAGES',
+        `Serving fusion variant image: ${validation.headId}.${validation.bodyId}${variantValidation.variant} (${imageResult.attribution})`
+      );
+
+      res.set({
+        'X-Image-Source': ImageController.toHeaderValue(
+          imageResult.attribution
+        ),
+        'Content-Type': 'image/png'
+      });
+
+      const imagePath = path.join(__dirname, '..', imageResult.imageUrl);
+      await ImageController.sendImage(req, res, imagePath, renderOptions);
+    } catch (error) {
+      logger.error(
+        'IMAGES',
+        'Error processing fusion variant image request:',
+        error.message
+      );
+      res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: 'Failed to process image request'
+      });
+    }
+  }
+
+  /**
+   * GET /api/images/pokemon/:id - Serve base battler image of a single Pokemon
+   */
+  static async getPokemonImage (req, res) {
+    try {
+      const { id } = req.params;
+
+      const validation = ImageService.validatePokemonParam(id);
+
+      if (!validation.valid) {
+        logger.warn('IMAGES', `Invalid parameters: id=${id}`);
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          message: validation.error.message,
+          provided: validation.error.provided
+        });
+      }
+
+      const renderOptions = ImageController.validateRenderOptions(req, res);
+      if (!renderOptions) return;
+
+      const imageResult = ImageService.generateBaseImagePath(validation.id);
+
+      logger.info(
+        'IMAGES',
+        `Serving base image: ${validation.id} (${imageResult.attribution})`
+      );
+
+      res.set({
+        'X-Image-Source': ImageController.toHeaderValue(
+          imageResult.attribution
+        ),
+        'Content-Type': 'image/png'
+      });
+
+      const imagePath = path.join(__dirname, '..', imageResult.imageUrl);
+      await ImageController.sendImage(req, res, imagePath, renderOptions);
+    } catch (error) {
+      logger.error(
+        'IMAGES',
+        'Error processing base image request:',
+        error.message
+      );
+      res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: 'Failed to process image request'
+      });
+    }
+  }
+
+  /**
+   * GET /api/images/triple/:tripleId - Serve triple fusion image
+   */
+  static async getTripleImage (req, res) {
+    try {
+      const { tripleId } = req.params;
+
+      if (!/^[a-z]{1,32}$/i.test(tripleId)) {
+        logger.warn('IMAGES', `Invalid triple fusion ID: ${tripleId}`);
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          message: 'tripleId must be 1-32 letters',
+          provided: { tripleId }
+        });
+      }
+
+      const renderOptions = ImageController.validateRenderOptions(req, res);
+      if (!renderOptions) return;
+
+      const imageResult = ImageService.generateTripleImagePath(
+        tripleId.toLowerCase()
+      );
+
+      logger.info(
+        'IMAGES',
+        `Serving triple fusion image: ${tripleId} (${imageResult.attribution})`
+      );
+
+      res.set({
+        'X-Image-Source': ImageController.toHeaderValue(
+          imageResult.attribution
+        ),
+        'Content-Type': 'image/png'
+      });
+
+      const imagePath = path.join(__dirname, '..', imageResult.imageUrl);
+      await ImageController.sendImage(req, res, imagePath, renderOptions);
+    } catch (error) {
+      logger.error(
+        'IMAGES',
+        'Error processing triple fusion image request:',
+        error.message
+      );
+      res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: 'Failed to process image request'
+      });
+    }
+  }
+
+  /**
+   * GET /api/images/grid?heads=1,4,7&bodies=25,133 - Serve a labelled grid of fusion sprites
+   */
+  static async getFusionGrid (req, res) {
+    try {
+      const validation = ImageService.validateGridParams(req.query);
+
+      if (!validation.valid) {
+        logger.warn(
+          'IMAGES',
+          `Invalid grid parameters: ${validation.error.message}`
+        );
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          message: validation.error.message,
+          provided: validation.error.provided
+        });
+      }
+
+      // One row per head, one column per body, labelled with the fusion name
+      const { heads, bodies } = validation;
+      const cells = heads.flatMap(headId =>
+        bodies.map(bodyId => {
+          const imageResult = ImageService.generateFusionImagePath(
+            headId,
+            bodyId
+          );
+          return {
+            filePath: path.join(__dirname, '..', imageResult.imageUrl),
+            label: FusionService.calculateName(
+              headId,
+              bodyId,
+              PokemonService.getPokemonById(headId),
+              PokemonService.getPokemonById(bodyId)
+            )
+          };
+        })
+      );
+
+      logger.info(
+        'IMAGES',
+        `Serving fusion grid: ${heads.length}x${bodies.length} sprites`
+      );
+
+      // The grid changes whenever one of its sprites or the fusion names change
+      const stats = await Promise.all(
+        cells.map(cell => fs.stat(cell.filePath))
+      );
+      const lastModified = new Date(
+        Math.max(...stats.map(stat => stat.mtime.getTime()))
+      );
+      res.set({
+        'Cache-Control': cacheControl(config.cache.imageMaxAge),
+        ETag: hashEtag([
+          FusionService.dataVersion,
+          heads.join(','),
+          bodies.join(','),
+          ...stats.map(stat => fileEtag(stat))
+        ]),
+        'Last-Modified': lastModified.toUTCString()
+      });
+
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      const image = await RenderService.renderGrid(cells, bodies.length);
+
+      res.set('Content-Type', 'image/png');
+      res.send(image);
+    } catch (error) {
+      logger.error(
+        'IMAGES',
+        'Error processing fusion grid request:',
+        error.message
+      );
+      res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: 'Failed to process image request'
+      });
+    }
+  }
+
+  /**
+   * Number of rate limit hits a grid request costs
+   * Oversized grids cost one hit so they reach validation and get a 400.
+   */
+  static getGridWeight (req) {
+    const count = value =>
+      typeof value === 'string' ? value.split(',').length : 0;
+    const cells = count(req.query.heads) * count(req.query.bodies);
+    if (cells > ImageService.getMaxGridCells()) return 1;
+    return Math.max(Math.ceil(cells / config.images.gridCellsPerRequest), 1);
+  }
+
   /**
    * GET /api/images/types/:typeName - Serve actual type icon files
    */
-  static getTypeIcon (req, res) {
+  static async getTypeIcon (req, res) {
     try {
       const { typeName } = req.params;
 
@@ -85,16 +436,23 @@ class ImageController {
         });
       }
 
+      const renderOptions = ImageController.validateRenderOptions(req, res);
+      if (!renderOptions) return;
+
       logger.info('IMAGES', `Serving type icon: ${validation.typeName}`);
 
       // Set appropriate headers for image serving
       res.set({
-        'Content-Type': 'image/png',
-        'Cache-Control': 'public, max-age=86400' // Cache for 24 hours
+        'Content-Type': 'image/png'
       });
 
-      // Serve the file using the path from service
-      res.sendFile(validation.filePath);
+      // Serve the file using the path from service, resized/re-encoded when requested
+      await ImageController.sendImage(
+        req,
+        res,
+        validation.filePath,
+        renderOptions
+      );
     } catch (error) {
       logger.error(
         'IMAGES',
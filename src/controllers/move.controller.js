@@ -0,0 +1,48 @@
+const config = require('../config');
+const PokemonService = require('../services/pokemon.service');
+const logger = require('../utils/logger');
+
+/**
+ * Controller for move-related API endpoints
+ */
+class MoveController {
+  /**
+   * GET /api/moves/:name - Get move data by name or internal ID
+   */
+  static async getMove (req, res) {
+    try {
+      logger.apiRequest('move data');
+      const startTime = Date.now();
+
+      const { name } = req.params;
+      const move = PokemonService.getMove(name);
+
+      if (!move) {
+        logger.warn('API', `Move not found: ${name}`);
+        return res.status(404).json({
+          success: false,
+          error: `Move not found: ${name}`
+        });
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        data: move,
+        processingTime: `${duration}ms`
+      });
+    } catch (error) {
+      logger.error('API', 'Error getting move data:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get move data',
+        ...(config.server.environment !== 'production' && {
+          details: error.message
+        })
+      });
+    }
+  }
+}
+
+module.exports = MoveController;
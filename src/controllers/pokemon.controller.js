@@ -7,21 +7,31 @@ const logger = require('../utils/logger');
  */
 class PokemonController {
   /**
-   * GET /api/pokemon - Get all Pokemon names
+   * GET /api/pokemon - Get Pokemon names (supports filter, sort, fields and pagination parameters)
    */
   static async getAllPokemon (req, res) {
     try {
       logger.apiRequest('Pokemon list');
       const startTime = Date.now();
 
-      const pokemonList = PokemonService.getAllPokemonNames();
+      const validation = PokemonService.validateListOptions(req.query);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          message: validation.error.message,
+          provided: validation.error.provided
+        });
+      }
+
+      const result = PokemonService.queryPokemon(validation.options);
       const duration = Date.now() - startTime;
 
       res.json({
         success: true,
         data: {
-          pokemon: pokemonList,
-          count: pokemonList.length
+          ...result,
+          count: result.pokemon.length
         },
         processingTime: `${duration}ms`
       });
@@ -36,6 +46,48 @@ class PokemonController {
       });
     }
   }
+
+  /**
+   * GET /api/pokemon/:nameOrId - Get the complete base entry of a Pokemon
+   */
+  static async getPokemon (req, res) {
+    try {
+      logger.apiRequest('Pokemon details');
+      const startTime = Date.now();
+
+      const { nameOrId } = req.params;
+      const name = PokemonService.resolvePokemonName(nameOrId);
+
+      if (!name) {
+        logger.warn('API', `Pokemon not found: ${nameOrId}`);
+        return res.status(404).json({
+          success: false,
+          error: `Pokemon not found: ${nameOrId}`,
+          suggestions: PokemonService.suggestPokemonNames(nameOrId)
+        });
+      }
+
+      const pokemon = PokemonService.getPokemonDetails(
+        PokemonService.getPokemonIndex(name)
+      );
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        data: pokemon,
+        processingTime: `${duration}ms`
+      });
+    } catch (error) {
+      logger.error('API', 'Error getting Pokemon details:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get Pokemon details',
+        ...(config.server.environment !== 'production' && {
+          details: error.message
+        })
+      });
+    }
+  }
 }
 
 module.exports = PokemonController;
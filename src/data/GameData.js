@@ -1225,6 +1225,61 @@ const GameData = {
     563: 367,
     564: 368,
     565: 369
+  },
+
+  // Last national dex number of each generation
+  GENERATION_DEX_LIMITS: [151, 251, 386, 493, 649, 721, 809, 905, 1025],
+
+  // National dex numbers of legendary and mythical Pokemon
+  LEGENDARY_DEX_NUMBERS: [
+    144, 145, 146, 150, 151, 243, 244, 245, 249, 250,
+    251, 377, 378, 379, 380, 381, 382, 383, 384, 385,
+    386, 480, 481, 482, 483, 484, 485, 486, 487, 488,
+    489, 490, 491, 492, 493, 494, 638, 639, 640, 641,
+    642, 643, 644, 645, 646, 647, 648, 649, 716, 717,
+    718, 719, 720, 721, 772, 773, 785, 786, 787, 788,
+    789, 790, 791, 792, 793, 794, 795, 796, 797, 798,
+    799, 800, 801, 802, 807, 808, 809, 888, 889, 890,
+    891, 892, 893, 894, 895, 896, 897, 898, 905
+  ],
+
+  NATURES: {
+    HARDY: { increased: null, decreased: null },
+    LONELY: { increased: 'ATTACK', decreased: 'DEFENSE' },
+    BRAVE: { increased: 'ATTACK', decreased: 'SPEED' },
+    ADAMANT: { increased: 'ATTACK', decreased: 'SPECIAL_ATTACK' },
+    NAUGHTY: { increased: 'ATTACK', decreased: 'SPECIAL_DEFENSE' },
+    BOLD: { increased: 'DEFENSE', decreased: 'ATTACK' },
+    DOCILE: { increased: null, decreased: null },
+    RELAXED: { increased: 'DEFENSE', decreased: 'SPEED' },
+    IMPISH: { increased: 'DEFENSE', decreased: 'SPECIAL_ATTACK' },
+    LAX: { increased: 'DEFENSE', decreased: 'SPECIAL_DEFENSE' },
+    TIMID: { increased: 'SPEED', decreased: 'ATTACK' },
+    HASTY: { increased: 'SPEED', decreased: 'DEFENSE' },
+    SERIOUS: { increased: null, decreased: null },
+    JOLLY: { increased: 'SPEED', decreased: 'SPECIAL_ATTACK' },
+    NAIVE: { increased: 'SPEED', decreased: 'SPECIAL_DEFENSE' },
+    MODEST: { increased: 'SPECIAL_ATTACK', decreased: 'ATTACK' },
+    MILD: { increased: 'SPECIAL_ATTACK', decreased: 'DEFENSE' },
+    QUIET: { increased: 'SPECIAL_ATTACK', decreased: 'SPEED' },
+    BASHFUL: { increased: null, decreased: null },
+    RASH: { increased: 'SPECIAL_ATTACK', decreased: 'SPECIAL_DEFENSE' },
+    CALM: { increased: 'SPECIAL_DEFENSE', decreased: 'ATTACK' },
+    GENTLE: { increased: 'SPECIAL_DEFENSE', decreased: 'DEFENSE' },
+    SASSY: { increased: 'SPECIAL_DEFENSE', decreased: 'SPEED' },
+    CAREFUL: { increased: 'SPECIAL_DEFENSE', decreased: 'SPECIAL_ATTACK' },
+    QUIRKY: { increased: null, decreased: null }
+  },
+
+  // Alternative spellings of Pokemon names, keyed by normalized alias (lowercase
+  // letters and digits only). Punctuation, spacing, accents and ♀/♂ written as
+  // f/m are already handled by name normalization.
+  NAME_ALIASES: {
+    nidoranfemale: 'Nidoran♀',
+    nidoranmale: 'Nidoran♂',
+    farfetched: "Farfetch'd",
+    sirfetched: "Sirfetch'd",
+    mimejunior: 'Mime Jr.'
   }
 };
 
@@ -0,0 +1,63 @@
+const TripleFusions = {
+  // Starter and legendary trio triple fusions (not the game's full set),
+  // members listed in head -> body -> third order
+  TRIPLES: [
+    {
+      id: 'bulbmantle',
+      name: 'Bulbmantle',
+      members: ['Bulbasaur', 'Charmander', 'Squirtle']
+    },
+    {
+      id: 'ivymelortle',
+      name: 'Ivymelortle',
+      members: ['Ivysaur', 'Charmeleon', 'Wartortle']
+    },
+    {
+      id: 'venustoizard',
+      name: 'Venustoizard',
+      members: ['Venusaur', 'Charizard', 'Blastoise']
+    },
+    {
+      id: 'zapmolcuno',
+      name: 'Zapmolcuno',
+      members: ['Zapdos', 'Moltres', 'Articuno']
+    },
+    {
+      id: 'enraicune',
+      name: 'Enraicune',
+      members: ['Entei', 'Raikou', 'Suicune']
+    },
+    {
+      id: 'kyodonquaza',
+      name: 'Kyodonquaza',
+      members: ['Kyogre', 'Groudon', 'Rayquaza']
+    },
+    {
+      id: 'paldiatina',
+      name: 'Paldiatina',
+      members: ['Palkia', 'Dialga', 'Giratina']
+    },
+    {
+      id: 'regitrio',
+      name: 'Regitrio',
+      members: ['Regirock', 'Regice', 'Registeel']
+    },
+    {
+      id: 'uxiemesprit',
+      name: 'Uxiemesprit',
+      members: ['Uxie', 'Mesprit', 'Azelf']
+    },
+    {
+      id: 'celemewchi',
+      name: 'Celemewchi',
+      members: ['Celebi', 'Mew', 'Jirachi']
+    },
+    {
+      id: 'deosectwo',
+      name: 'Deosectwo',
+      members: ['Deoxys', 'Genesect', 'Mewtwo']
+    }
+  ]
+};
+
+module.exports = TripleFusions;
@@ -17,6 +17,8 @@ const {
 const fusionRoutes = require('./routes/fusion.routes');
 const pokemonRoutes = require('./routes/pokemon.routes');
 const imageRoutes = require('./routes/images.routes');
+const moveRoutes = require('./routes/moves.routes');
+const creditsRoutes = require('./routes/credits.routes');
 
 // Import services
 const ImageService = require('./services/image.service');
@@ -29,6 +31,7 @@ const app = express();
 // Configure middleware
 app.disable('x-powered-by'); // Hide Express server information
 app.use(cors(config.cors));
+app.use('/api/fusion/batch', express.json({ limit: config.batch.limit })); // Larger limit for batch bodies
 app.use(express.json(config.api)); // Limit request body size
 app.use(urlSizeLimit(bytes(config.api.limit)));
 
@@ -45,6 +48,8 @@ app.use((req, res, next) => {
 app.use('/api/fusion', fusionRoutes);
 app.use('/api/pokemon', pokemonRoutes);
 app.use('/api/images', imageRoutes);
+app.use('/api/moves', moveRoutes);
+app.use('/api/credits', creditsRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -0,0 +1,9 @@
+const express = require('express');
+const CreditsController = require('../controllers/credits.controller');
+
+const router = express.Router();
+
+// GET /api/credits/:artist - List every sprite credited to an artist (supports limit/offset)
+router.get('/:artist', CreditsController.getArtistCredits);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const FusionController = require('../controllers/fusion.controller');
+const { weightedRateLimit } = require('../utils/middleware');
 
 const router = express.Router();
 
@@ -15,7 +16,47 @@ router.get('/types', FusionController.getFusionTypes);
 // GET /api/fusion/stats - Get only stats information (supports query parameters)
 router.get('/stats', FusionController.getFusionStats);
 
+// GET /api/fusion/abilities - Get only the fusion ability pool (supports query parameters)
+router.get('/abilities', FusionController.getFusionAbilities);
+
+// GET /api/fusion/moves - Get the combined fusion learnset (supports query parameters)
+router.get('/moves', FusionController.getFusionMoves);
+
+// GET /api/fusion/compare - Compare both head/body orderings (supports a/b query parameters)
+router.get('/compare', FusionController.getFusionComparison);
+
+// GET /api/fusion/search - Search fusions by resulting types (supports query parameters)
+router.get('/search', FusionController.searchFusions);
+
+// GET /api/fusion/top - Rank fusions by stat or base stat total (supports query parameters)
+router.get('/top', FusionController.getTopFusions);
+
+// GET /api/fusion/lookup - Resolve a fusion name to its head/body pairs (supports query parameters)
+router.get('/lookup', FusionController.lookupFusionName);
+
+// GET /api/fusion/daily - Get the fusion of the day (supports date/timezone query parameters)
+router.get('/daily', FusionController.getDailyFusion);
+
+// GET /api/fusion/triple - Get a known triple fusion (supports name query parameter)
+router.get('/triple', FusionController.getTripleFusion);
+
+// GET /api/fusion/evolutions - Get the fused evolution tree (supports query parameters)
+router.get('/evolutions', FusionController.getFusionEvolutions);
+
+// GET /api/fusion/matchups - Get type matchups for the fused typing (supports query parameters)
+router.get('/matchups', FusionController.getFusionMatchups);
+
 // GET /api/fusion/pokedex - Get only Pokedex entry (supports query parameters)
 router.get('/pokedex', FusionController.getFusionPokedex);
 
+// GET /api/fusion/pokedex/entries - List every custom Pokedex entry (supports query parameters)
+router.get('/pokedex/entries', FusionController.getFusionPokedexEntries);
+
+// POST /api/fusion/batch - Generate many fusions at once (weighted against the rate limit)
+router.post(
+  '/batch',
+  weightedRateLimit(FusionController.getBatchWeight),
+  FusionController.getFusionBatch
+);
+
 module.exports = router;
@@ -1,11 +1,31 @@
 const express = require('express');
 const ImageController = require('../controllers/image.controller');
+const { weightedRateLimit } = require('../utils/middleware');
 
 const router = express.Router();
 
 // GET /api/images/fusion/:headId/:bodyId - Serve fusion image
 router.get('/fusion/:headId/:bodyId', ImageController.getFusionImage);
 
+// GET /api/images/fusion/:headId/:bodyId/:variant - Serve alternate fusion image (e.g. variant "a")
+router.get(
+  '/fusion/:headId/:bodyId/:variant',
+  ImageController.getFusionVariantImage
+);
+
+// GET /api/images/pokemon/:id - Serve base battler image of a single Pokemon
+router.get('/pokemon/:id', ImageController.getPokemonImage);
+
+// GET /api/images/triple/:tripleId - Serve triple fusion image
+router.get('/triple/:tripleId', ImageController.getTripleImage);
+
+// GET /api/images/grid - Serve a labelled grid of fusion sprites (heads/bodies query parameters)
+router.get(
+  '/grid',
+  weightedRateLimit(ImageController.getGridWeight),
+  ImageController.getFusionGrid
+);
+
 // GET /api/images/types/:typeName - Type icon endpoint
 router.get('/types/:typeName', ImageController.getTypeIcon);
 
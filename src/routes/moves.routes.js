@@ -0,0 +1,9 @@
+const express = require('express');
+const MoveController = require('../controllers/move.controller');
+
+const router = express.Router();
+
+// GET /api/moves/:name - Get move data by name or internal ID
+router.get('/:name', MoveController.getMove);
+
+module.exports = router;
@@ -6,4 +6,7 @@ const router = express.Router();
 // GET /api/pokemon - Get all Pokemon names
 router.get('/', PokemonController.getAllPokemon);
 
+// GET /api/pokemon/:nameOrId - Get the complete base entry of a Pokemon
+router.get('/:nameOrId', PokemonController.getPokemon);
+
 module.exports = router;
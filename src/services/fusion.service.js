@@ -1,6 +1,13 @@
 const PokemonService = require('./pokemon.service');
+const ImageService = require('./image.service');
 const logger = require('../utils/logger');
 const config = require('../config');
+const GameData = require('../data/GameData');
+const TypeChart = require('../data/TypeChart');
+const TripleFusions = require('../data/TripleFusions');
+const { parsePagination, parseIntegerParam } = require('../utils/query');
+const { createSeededRandom } = require('../utils/random');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -10,12 +17,41 @@ const path = require('path');
 class FusionService {
   static customPokedexEntries = new Map(); // fusionId -> array of entries
   static isPokedexLoaded = false;
+  static typeIndex = new Map(); // "FIRE/FLYING" -> Uint32Array of encoded head/body pairs
+  static statsIndex = null; // { ids, rows: Map id -> row, values: Uint16Array }
+  static nameIndex = null; // { names, lowerNames, starts, codes } grouped by fusion name
+  static spriteIndex = {}; // Sprite source ("custom"/"autogen") -> Uint32Array of encoded head/body pairs
+  static dataVersion = null; // Hash of the loaded data files, used for response ETags
+  static availableTriples = []; // Triple fusions whose members are all in the Pokedex data
 
   // File path for custom Pokedex entries
   static CUSTOM_POKEDEX_PATH = path.join(__dirname, '../data/pokedex/dex.json');
 
   // Regex to identify variants: (1-4 digits).(1-4 digits)[a-z]
-  static VARIANT_REGEX = /^(\d{1,4}\.\d{1,4})[a-z]$/i;
+  static VARIANT_REGEX = /^(\d{1,4}\.\d{1,4})([a-z])$/i;
+
+  // Stat order used for IV/EV spreads (e.g. "31,31,31,31,31,31")
+  static STAT_KEYS = [
+    'HP',
+    'ATTACK',
+    'DEFENSE',
+    'SPECIAL_ATTACK',
+    'SPECIAL_DEFENSE',
+    'SPEED',
+  ];
+
+  static MAX_IV = 31;
+  static MAX_EV = 252;
+  static MAX_TOTAL_EVS = 510;
+
+  // Stats stored per fusion in the stats index (base stats followed by total)
+  static INDEXED_STATS = [...FusionService.STAT_KEYS, 'TOTAL'];
+
+  // Sprite sources accepted by the spriteSource random filter
+  static SPRITE_SOURCE_FILTERS = ['custom', 'autogen', 'any'];
+
+  // Sort orders supported by fusion search results
+  static SEARCH_SORTS = ['id', 'name', 'total'];
 
   /**
    * Validates if a fusion ID matches the variant pattern.
@@ -43,20 +79,20 @@ class FusionService {
       const jsonData = await fs.readFile(this.CUSTOM_POKEDEX_PATH, 'utf8');
       const pokedexData = JSON.parse(jsonData);
 
-      // Group entries by fusion sprite ID, filtering out variants
+      // Group entries by sprite ID so variant entries stay with their sprite
       let totalProcessed = 0;
-      let variantsFiltered = 0;
+      let variantEntries = 0;
 
       for (const entry of pokedexData) {
         if (!entry.sprite || !entry.entry || !entry.author) continue;
 
-        // Extract fusion ID from sprite filename (e.g., "1.10.png" -> "1.10")
-        const fusionId = entry.sprite.replace('.png', '');
+        // Extract sprite ID from filename (e.g., "1.10.png" -> "1.10", "150.25A.png" -> "150.25a")
+        let fusionId = entry.sprite.replace('.png', '');
 
-        // Skip variant entries (e.g., "150.25a", "1.10b")
+        // Variant entries (e.g., "150.25a", "1.10b") are keyed by their variant sprite
         if (this.isVariant(fusionId)) {
-          variantsFiltered++;
-          continue;
+          fusionId = fusionId.toLowerCase();
+          variantEntries++;
         }
 
         if (!this.customPokedexEntries.has(fusionId)) {
@@ -78,10 +114,10 @@ class FusionService {
         `Loaded ${totalProcessed} custom Pokedex entries for ${this.customPokedexEntries.size} fusions in ${duration}ms`
       );
 
-      if (variantsFiltered > 0) {
+      if (variantEntries > 0) {
         logger.info(
           'FUSION_SERVICE',
-          `Filtered out ${variantsFiltered} variant entries for optimized memory usage`
+          `${variantEntries} entries belong to alternate sprite variants`
         );
       }
     } catch (error) {
@@ -92,58 +128,330 @@ class FusionService {
       );
       // Continue without custom entries - will fall back to auto-generated
     }
+
+    this.buildTypeIndex();
+    this.buildStatsIndex();
+    this.buildNameIndex();
+    this.buildSpriteIndex();
+    this.checkTripleMembers();
+    await this.computeDataVersion();
+  }
+
+  /**
+   * Keep only the triple fusions whose three members exist in the loaded data
+   */
+  static checkTripleMembers() {
+    this.availableTriples = TripleFusions.TRIPLES.filter(
+      ({ name, members }) => {
+        const missing = members.filter(
+          member => !PokemonService.getPokemonByName(member)
+        );
+        if (missing.length > 0) {
+          logger.warn(
+            'FUSION_SERVICE',
+            `Triple fusion ${name} unavailable, missing: ${missing.join(', ')}`
+          );
+        }
+        return missing.length === 0;
+      }
+    );
+
+    logger.info(
+      'FUSION_SERVICE',
+      `${this.availableTriples.length} of ${TripleFusions.TRIPLES.length} triple fusions available`
+    );
+  }
+
+  /**
+   * Hash the size and modification time of every data file responses derive from
+   */
+  static async computeDataVersion() {
+    const dataFiles = [
+      PokemonService.FUSIONDEX_DATA_PATH,
+      PokemonService.ABILITIES_DATA_PATH,
+      PokemonService.MOVES_DATA_PATH,
+      PokemonService.LEARNSETS_DATA_PATH,
+      PokemonService.EVOLUTIONS_DATA_PATH,
+      ImageService.CREDITS_PATH,
+      this.CUSTOM_POKEDEX_PATH,
+    ];
+
+    const parts = [config.server.version];
+    for (const filePath of dataFiles) {
+      try {
+        const { size, mtimeMs } = await fs.stat(filePath);
+        parts.push(`${path.basename(filePath)}:${size}:${mtimeMs}`);
+      } catch {
+        parts.push(`${path.basename(filePath)}:missing`);
+      }
+    }
+
+    this.dataVersion = crypto
+      .createHash('sha1')
+      .update(parts.join('|'))
+      .digest('hex')
+      .slice(0, 12);
+    logger.info('FUSION_SERVICE', `Data version ${this.dataVersion}`);
+  }
+
+  /**
+   * Encode a head/body pair into a single integer for compact indexes
+   */
+  static encodePair(headIndex, bodyIndex) {
+    return headIndex * 65536 + bodyIndex;
+  }
+
+  /**
+   * Decode an encoded head/body pair into [headIndex, bodyIndex]
+   */
+  static decodePair(code) {
+    return [Math.floor(code / 65536), code % 65536];
+  }
+
+  /**
+   * Get the order-insensitive index key of a typing (e.g. ["FLYING", "FIRE"] -> "FIRE/FLYING")
+   */
+  static getTypeKey(types) {
+    return [...types].sort().join('/');
+  }
+
+  /**
+   * Precompute the resulting typing of every head/body combination
+   */
+  static buildTypeIndex() {
+    const startTime = Date.now();
+    const ids = PokemonService.getAllPokemonIds();
+    const groups = new Map();
+
+    for (const headIndex of ids) {
+      const headData = PokemonService.getPokemonById(headIndex);
+      for (const bodyIndex of ids) {
+        const bodyData = PokemonService.getPokemonById(bodyIndex);
+        const key = this.getTypeKey(this.calculateTypes(headData, bodyData));
+
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(this.encodePair(headIndex, bodyIndex));
+      }
+    }
+
+    this.typeIndex.clear();
+    for (const [key, pairs] of groups) {
+      this.typeIndex.set(key, Uint32Array.from(pairs));
+    }
+
+    const duration = Date.now() - startTime;
+    logger.info(
+      'FUSION_SERVICE',
+      `Indexed ${ids.length * ids.length} fusions into ${this.typeIndex.size} typings in ${duration}ms`
+    );
   }
 
   /**
-   * Get a random custom Pokedex entry for a fusion, or null if none exists
+   * Get a custom Pokedex entry for a fusion, or null if none exists
+   * A random entry is picked unless the selection pins one by index or author.
+   * @param {Function} random - Random number source (defaults to Math.random)
+   * @param {Object} selection - Optional { index, author } of the entry to use
    */
-  static getCustomPokedexEntry(headIndex, bodyIndex) {
-    if (!this.isPokedexLoaded) return null;
+  static getCustomPokedexEntry(
+    headIndex,
+    bodyIndex,
+    random = Math.random,
+    selection = null
+  ) {
+    const entries = this.getCustomPokedexEntries(headIndex, bodyIndex);
+
+    if (selection) {
+      const index =
+        selection.author !== undefined
+          ? entries.findIndex(
+              ({ author }) =>
+                author.toLowerCase() === selection.author.toLowerCase()
+            )
+          : selection.index;
+
+      if (!entries[index]) {
+        const pinned =
+          selection.author !== undefined
+            ? `by ${selection.author}`
+            : `#${selection.index}`;
+        const error = new Error(
+          `No custom Pokedex entry ${pinned} for fusion #${headIndex}.${bodyIndex}`
+        );
+        error.statusCode = 404;
+        throw error;
+      }
 
-    const fusionId = `${headIndex}.${bodyIndex}`;
-    const entries = this.customPokedexEntries.get(fusionId);
+      return { ...entries[index], index };
+    }
 
-    if (!entries || entries.length === 0) return null;
+    if (entries.length === 0) return null;
 
     // Return a random entry if multiple exist
-    const randomEntry = entries[Math.floor(Math.random() * entries.length)];
-    return {
-      entry: randomEntry.entry,
-      author: randomEntry.author,
-    };
+    const index = Math.floor(random() * entries.length);
+    return { ...entries[index], index };
   }
 
   /**
-   * Generate a complete fusion with all data
+   * Get every custom Pokedex entry written for a fusion sprite
+   * @param {string} variant - Optional variant letter for alternate sprite entries
    */
-  static async generateFusion(options = {}) {
-    try {
-      // Get Pokemon names (specific or random)
-      let headPokemon, bodyPokemon;
+  static getCustomPokedexEntries(headIndex, bodyIndex, variant = '') {
+    if (!this.isPokedexLoaded) return [];
 
-      if (
-        options.headPokemon &&
-        PokemonService.isValidPokemon(options.headPokemon)
-      ) {
-        headPokemon = options.headPokemon;
-      } else {
-        headPokemon = PokemonService.getRandomPokemonName();
+    const entries = this.customPokedexEntries.get(
+      `${headIndex}.${bodyIndex}${variant}`
+    );
+    return (entries || []).map(({ entry, author }) => ({ entry, author }));
+  }
+
+  /**
+   * Get the artists credited for the sprite a fusion resolves to
+   * Autogenerated sprites are credited to japeal; the null sprite has no artist.
+   */
+  static getSpriteArtists(headIndex, bodyIndex) {
+    switch (ImageService.getSpriteSource(headIndex, bodyIndex)) {
+      case 'custom':
+        return ImageService.getSpriteArtists(headIndex, bodyIndex);
+      case 'autogen':
+        return ['japeal'];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * List the alternate sprite variants of a fusion with their own Pokedex entries
+   */
+  static getFusionVariants(headIndex, bodyIndex, fusionName) {
+    return ImageService.getSpriteVariants(headIndex, bodyIndex).map(
+      variant => ({
+        variant,
+        imageUrl: `${config.server.url}/api/images/fusion/${headIndex}/${bodyIndex}/${variant}`,
+        artists: ImageService.getSpriteArtists(headIndex, bodyIndex, variant),
+        pokedexEntries: FusionService.getCustomPokedexEntries(
+          headIndex,
+          bodyIndex,
+          variant
+        ).map(({ entry, author }) => ({
+          entry: entry.replace(/POKENAME/g, fusionName),
+          author,
+        })),
+      })
+    );
+  }
+
+  /**
+   * Validate the entry/author parameters that pin a custom Pokedex entry
+   */
+  static validateDexEntryOptions(query = {}) {
+    const { entry, author } = query;
+    const invalid = message => ({
+      valid: false,
+      error: { message, provided: { entry, author } },
+    });
+
+    if (entry !== undefined && author !== undefined) {
+      return invalid('Use either entry or author, not both');
+    }
+
+    if (entry !== undefined) {
+      const index = parseIntegerParam(entry, {
+        min: 0,
+        max: Number.MAX_SAFE_INTEGER,
+        defaultValue: null,
+      });
+      if (index === null) {
+        return invalid('entry must be a non-negative integer');
       }
+      return { valid: true, options: { dexEntry: { index } } };
+    }
 
-      if (
-        options.bodyPokemon &&
-        PokemonService.isValidPokemon(options.bodyPokemon)
-      ) {
-        bodyPokemon = options.bodyPokemon;
-      } else {
-        bodyPokemon = PokemonService.getRandomPokemonName();
+    if (author !== undefined) {
+      if (typeof author !== 'string' || author.trim() === '') {
+        return invalid('author must be a non-empty name');
       }
+      return { valid: true, options: { dexEntry: { author: author.trim() } } };
+    }
 
-      // Get Pokemon data for fusion generation
-      const headIndex = PokemonService.getPokemonIndex(headPokemon);
-      const bodyIndex = PokemonService.getPokemonIndex(bodyPokemon);
-      const headData = PokemonService.getPokemonById(headIndex);
-      const bodyData = PokemonService.getPokemonById(bodyIndex);
+    return { valid: true, options: {} };
+  }
+
+  /**
+   * Validate the parameters of the Pokedex entry listing: head and body are required
+   */
+  static validateEntriesOptions(query = {}) {
+    const { head, body } = query;
+    if (!head || !body) {
+      return {
+        valid: false,
+        error: {
+          message:
+            'head and body are required (e.g. head=Bulbasaur&body=Charmander)',
+          provided: { head, body },
+        },
+      };
+    }
+
+    return { valid: true, options: {} };
+  }
+
+  /**
+   * List every custom Pokedex entry of a fusion with its author and index
+   */
+  static async getFusionPokedexEntries(options = {}) {
+    try {
+      const {
+        headPokemon,
+        bodyPokemon,
+        headIndex,
+        bodyIndex,
+        headData,
+        bodyData,
+      } = FusionService.prepareFusionData(options);
+
+      logger.fusion(headPokemon, headIndex, bodyPokemon, bodyIndex);
+
+      const fusionName = FusionService.calculateName(
+        headIndex,
+        bodyIndex,
+        headData,
+        bodyData
+      );
+      const entries = FusionService.getCustomPokedexEntries(
+        headIndex,
+        bodyIndex
+      ).map(({ entry, author }, index) => ({
+        index,
+        entry: entry.replace(/POKENAME/g, fusionName),
+        author,
+      }));
+
+      logger.fusionComplete();
+      return {
+        fusionName,
+        fusionId: `#${headIndex}.${bodyIndex}`,
+        entries,
+        count: entries.length,
+      };
+    } catch (error) {
+      logger.error('FUSION', 'Error listing Pokedex entries:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a complete fusion with all data
+   */
+  static async generateFusion(options = {}) {
+    try {
+      const {
+        headPokemon,
+        bodyPokemon,
+        headIndex,
+        bodyIndex,
+        headData,
+        bodyData,
+      } = FusionService.prepareFusionData(options);
 
       logger.fusion(headPokemon, headIndex, bodyPokemon, bodyIndex);
 
@@ -179,7 +487,9 @@ class FusionService {
         bodyData,
         fusionName,
         headIndex,
-        bodyIndex
+        bodyIndex,
+        options.random,
+        options.dexEntry
       );
       const fusionCategory = FusionService.calculateCategory(
         bodyData,
@@ -190,6 +500,12 @@ class FusionService {
       const fusionHeight = FusionService.calculateHeight(headData, bodyData);
       const fusionWeight = FusionService.calculateWeight(headData, bodyData);
 
+      // Calculate available abilities using authentic Pokemon Infinite Fusion slots
+      const fusionAbilities = FusionService.calculateAbilities(
+        headIndex,
+        bodyIndex
+      );
+
       // Create base fusion data
       const fusionData = {
         leftPkmnIndex: headIndex,
@@ -199,13 +515,24 @@ class FusionService {
         fusionImageUrl,
         leftPokemonName: headPokemon,
         rightPokemonName: bodyPokemon,
+        leftPokemonImageUrl: `${config.server.url}/api/images/pokemon/${headIndex}`,
+        rightPokemonImageUrl: `${config.server.url}/api/images/pokemon/${bodyIndex}`,
         types,
         stats: fusionStats,
         pokedexEntry: fusionPokedexData.entry,
         pokedexAuthor: fusionPokedexData.author,
+        pokedexEntryIndex: fusionPokedexData.index,
         category: fusionCategory,
         height: fusionHeight,
         weight: fusionWeight,
+        abilities: fusionAbilities,
+        spriteSource: ImageService.getSpriteSource(headIndex, bodyIndex),
+        spriteArtists: FusionService.getSpriteArtists(headIndex, bodyIndex),
+        variants: FusionService.getFusionVariants(
+          headIndex,
+          bodyIndex,
+          fusionName
+        ),
       };
 
       logger.fusionComplete();
@@ -215,55 +542,1140 @@ class FusionService {
       };
     } catch (error) {
       logger.error('FUSION', 'Error generating fusion:', error.message);
+      if (error.statusCode) throw error; // Client errors keep their status
       throw new Error(`Failed to generate fusion: ${error.message}`);
     }
   }
 
   /**
-   * Get basic Pokemon data and prepare for fusion calculations
+   * Validate a batch request body of head/body pairs
+   * @param {Array} pairs - Array of { head, body } objects (names or IDs)
+   * @returns {Object} Validation result with pairs or error
    */
-  static prepareFusionData(options = {}) {
-    // Get Pokemon names (specific or random)
-    let headPokemon, bodyPokemon;
+  static validateBatchPairs(pairs) {
+    if (!Array.isArray(pairs) || pairs.length === 0) {
+      return {
+        valid: false,
+        error: {
+          message: 'Request body must be a non-empty array of { head, body } pairs',
+          provided: { type: Array.isArray(pairs) ? 'empty array' : typeof pairs },
+        },
+      };
+    }
 
-    if (
-      options.headPokemon &&
-      PokemonService.isValidPokemon(options.headPokemon)
-    ) {
-      headPokemon = options.headPokemon;
-    } else {
-      headPokemon = PokemonService.getRandomPokemonName();
+    if (pairs.length > config.batch.maxSize) {
+      return {
+        valid: false,
+        error: {
+          message: `Batch size ${pairs.length} exceeds the maximum of ${config.batch.maxSize} pairs`,
+          provided: { size: pairs.length },
+        },
+      };
+    }
+
+    return { valid: true, pairs };
+  }
+
+  /**
+   * Generate fusions for many head/body pairs, reporting errors per item
+   */
+  static async generateFusionBatch(pairs, random = Math.random) {
+    const results = [];
+
+    for (const [index, pair] of pairs.entries()) {
+      const resolved = FusionService.resolveBatchPair(pair);
+      if (resolved.error) {
+        results.push({
+          index,
+          success: false,
+          error: resolved.error,
+          ...(resolved.suggestions && { suggestions: resolved.suggestions }),
+        });
+        continue;
+      }
+
+      try {
+        const data = await FusionService.generateFusion({
+          ...resolved,
+          random,
+        });
+        results.push({ index, success: true, data });
+      } catch (error) {
+        results.push({ index, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Resolve the head and body names or IDs of a single batch item
+   * Omitted parts are picked at random, like the single fusion endpoints
+   */
+  static resolveBatchPair(pair) {
+    if (!pair || typeof pair !== 'object' || Array.isArray(pair)) {
+      return { error: 'Each item must be an object with head and body' };
+    }
+
+    const resolved = {};
+    for (const [part, key] of [
+      ['head', 'headPokemon'],
+      ['body', 'bodyPokemon'],
+    ]) {
+      const value = pair[part];
+      if (value === undefined || value === null || value === '') continue;
+
+      resolved[key] =
+        typeof value === 'string' || typeof value === 'number'
+          ? PokemonService.resolvePokemonName(value)
+          : null;
+      if (!resolved[key]) {
+        return {
+          error: `Invalid ${part} Pokemon: ${value}`,
+          suggestions: PokemonService.suggestPokemonNames(value),
+        };
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Precompute the base stats of every head/body combination in a flat typed array
+   */
+  static buildStatsIndex() {
+    const startTime = Date.now();
+    const ids = PokemonService.getAllPokemonIds();
+    const width = this.INDEXED_STATS.length;
+    const values = new Uint16Array(ids.length * ids.length * width);
+    const rows = new Map(ids.map((id, row) => [id, row]));
+
+    ids.forEach((headIndex, headRow) => {
+      const headData = PokemonService.getPokemonById(headIndex);
+      ids.forEach((bodyIndex, bodyRow) => {
+        const bodyData = PokemonService.getPokemonById(bodyIndex);
+        const stats = this.calculateBaseStats(headData, bodyData);
+        const offset = (headRow * ids.length + bodyRow) * width;
+
+        this.INDEXED_STATS.forEach((stat, i) => {
+          values[offset + i] = stats[stat];
+        });
+      });
+    });
+
+    this.statsIndex = { ids, rows, values };
+
+    const duration = Date.now() - startTime;
+    logger.info(
+      'FUSION_SERVICE',
+      `Indexed base stats of ${ids.length * ids.length} fusions (${Math.round(values.byteLength / 1024)} KB) in ${duration}ms`
+    );
+  }
+
+  /**
+   * Encode the head/body pairs of each sprite source for the spriteSource filter
+   * Should run after ImageService has indexed the sprite files.
+   */
+  static buildSpriteIndex() {
+    this.spriteIndex = {};
+    for (const source of ['custom', 'autogen']) {
+      this.spriteIndex[source] = Uint32Array.from(
+        ImageService.getSpritePairs(source),
+        ([headIndex, bodyIndex]) => this.encodePair(headIndex, bodyIndex)
+      );
+    }
+
+    logger.info(
+      'FUSION_SERVICE',
+      `Indexed ${this.spriteIndex.custom.length} custom and ${this.spriteIndex.autogen.length} autogen sprite pairs`
+    );
+  }
+
+  /**
+   * Precompute the fusion name of every head/body combination
+   * Names are sorted case-insensitively so exact lookups can binary search, and
+   * each name's encoded pairs are stored contiguously in `codes`.
+   */
+  static buildNameIndex() {
+    const startTime = Date.now();
+    const parts = PokemonService.getAllPokemonIds().map(id => {
+      const data = PokemonService.getPokemonById(id);
+      return {
+        id,
+        prefix: this.getNamePrefix(id, data),
+        suffix: this.getNameSuffix(id, data),
+      };
+    });
+
+    const groups = new Map(); // fusion name -> encoded pairs
+    for (const head of parts) {
+      for (const body of parts) {
+        const name = this.combineNameParts(head.prefix, body.suffix);
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(this.encodePair(head.id, body.id));
+      }
+    }
+
+    const names = [...groups.keys()]
+      .map(name => ({ name, lower: name.toLowerCase() }))
+      .sort((a, b) => (a.lower < b.lower ? -1 : a.lower > b.lower ? 1 : 0));
+    const starts = new Uint32Array(names.length + 1);
+    const codes = new Uint32Array(parts.length * parts.length);
+
+    let offset = 0;
+    names.forEach(({ name }, i) => {
+      starts[i] = offset;
+      codes.set(groups.get(name), offset);
+      offset += groups.get(name).length;
+    });
+    starts[names.length] = offset;
+
+    this.nameIndex = {
+      names: names.map(({ name }) => name),
+      lowerNames: names.map(({ lower }) => lower),
+      starts,
+      codes,
+    };
+
+    const duration = Date.now() - startTime;
+    logger.info(
+      'FUSION_SERVICE',
+      `Indexed ${names.length} fusion names in ${duration}ms`
+    );
+  }
+
+  /**
+   * Get an indexed base stat (or TOTAL) of a fusion, or null if it is not indexed
+   */
+  static getIndexedStat(headIndex, bodyIndex, stat) {
+    if (!this.statsIndex) return null;
+
+    const { ids, rows, values } = this.statsIndex;
+    const headRow = rows.get(headIndex);
+    const bodyRow = rows.get(bodyIndex);
+    if (headRow === undefined || bodyRow === undefined) return null;
+
+    const offset = (headRow * ids.length + bodyRow) * this.INDEXED_STATS.length;
+    return values[offset + this.INDEXED_STATS.indexOf(stat)];
+  }
+
+  /**
+   * Validate the query parameters of the fusion leaderboard endpoint
+   * @param {Object} query - Request query parameters
+   * @returns {Object} Validation result with parsed leaderboard options or error
+   */
+  static validateLeaderboardOptions(query = {}) {
+    const { stat = 'TOTAL', limit, type } = query;
+    const invalid = message => ({
+      valid: false,
+      error: { message, provided: { stat, limit, type } },
+    });
+
+    const parsedStat = typeof stat === 'string' ? stat.toUpperCase() : stat;
+    if (!FusionService.INDEXED_STATS.includes(parsedStat)) {
+      return invalid(
+        `stat must be one of: ${FusionService.INDEXED_STATS.join(', ')}`
+      );
+    }
+
+    const parsedLimit = parseIntegerParam(limit, {
+      min: 1,
+      max: 100,
+      defaultValue: 25,
+    });
+    if (parsedLimit === null) {
+      return invalid('limit must be an integer between 1 and 100');
+    }
+
+    const parsedType = typeof type === 'string' ? type.toUpperCase() : type;
+    if (parsedType !== undefined && !TypeChart.TYPES.includes(parsedType)) {
+      return invalid(`Unknown type: ${type}`);
+    }
+
+    return {
+      valid: true,
+      options: {
+        leaderboard: {
+          stat: parsedStat,
+          limit: parsedLimit,
+          type: parsedType || null,
+        },
+      },
+    };
+  }
+
+  /**
+   * Rank fusions by a base stat (or TOTAL) using the precomputed stats index
+   * Head, body and type are optional filters here rather than random picks.
+   */
+  static async getTopFusions(options = {}) {
+    try {
+      const { stat, limit, type } = options.leaderboard;
+      const headFilter = options.headPokemon
+        ? PokemonService.getPokemonIndex(options.headPokemon)
+        : null;
+      const bodyFilter = options.bodyPokemon
+        ? PokemonService.getPokemonIndex(options.bodyPokemon)
+        : null;
+
+      // Keep the best `limit` fusions sorted by value desc, then ID asc
+      const top = [];
+      const consider = (headIndex, bodyIndex) => {
+        if (headFilter !== null && headIndex !== headFilter) return;
+        if (bodyFilter !== null && bodyIndex !== bodyFilter) return;
+
+        const value = FusionService.getIndexedStat(headIndex, bodyIndex, stat);
+        const code = FusionService.encodePair(headIndex, bodyIndex);
+        const ranksAbove = entry =>
+          entry.value > value || (entry.value === value && entry.code < code);
+
+        if (top.length === limit && ranksAbove(top[top.length - 1])) return;
+
+        let position = top.length;
+        while (position > 0 && !ranksAbove(top[position - 1])) position--;
+        top.splice(position, 0, { code, value });
+        if (top.length > limit) top.pop();
+      };
+
+      if (type) {
+        for (const [key, pairs] of FusionService.typeIndex) {
+          if (!key.split('/').includes(type)) continue;
+          for (const code of pairs) {
+            consider(...FusionService.decodePair(code));
+          }
+        }
+      } else {
+        const ids = FusionService.statsIndex ? FusionService.statsIndex.ids : [];
+        for (const headIndex of headFilter !== null ? [headFilter] : ids) {
+          for (const bodyIndex of bodyFilter !== null ? [bodyFilter] : ids) {
+            consider(headIndex, bodyIndex);
+          }
+        }
+      }
+
+      return {
+        stat,
+        type,
+        results: top.map(({ code, value }, i) => ({
+          rank: i + 1,
+          value,
+          ...FusionService.describePair(code),
+        })),
+      };
+    } catch (error) {
+      logger.error('FUSION', 'Error getting top fusions:', error.message);
+      throw error;
     }
+  }
+
+  /**
+   * Validate the query parameters of the fusion name lookup endpoint
+   * @param {Object} query - Request query parameters
+   * @returns {Object} Validation result with parsed lookup options or error
+   */
+  static validateLookupOptions(query = {}) {
+    const { name, partial = 'false', caseSensitive = 'false' } = query;
+    const invalid = message => ({
+      valid: false,
+      error: { message, provided: { name, partial, caseSensitive } },
+    });
+
+    if (typeof name !== 'string' || name.trim() === '') {
+      return invalid('name is required (e.g. name=Bulbamander)');
+    }
+    if (!['true', 'false'].includes(partial)) {
+      return invalid('partial must be true or false');
+    }
+    if (!['true', 'false'].includes(caseSensitive)) {
+      return invalid('caseSensitive must be true or false');
+    }
+
+    const pagination = parsePagination(query);
+    if (pagination.error) return invalid(pagination.error);
+
+    return {
+      valid: true,
+      options: {
+        lookup: {
+          name: name.trim(),
+          partial: partial === 'true',
+          caseSensitive: caseSensitive === 'true',
+          ...pagination,
+        },
+      },
+    };
+  }
+
+  /**
+   * Find every head/body pair whose fusion name matches a given name
+   * Names can collide, so all matching pairs are returned.
+   */
+  static async lookupFusionName(options = {}) {
+    try {
+      const { name, partial, caseSensitive, limit, offset } = options.lookup;
+      const { names, lowerNames, starts, codes } = FusionService.nameIndex;
+      const target = caseSensitive ? name : name.toLowerCase();
+      const isMatch = i => {
+        const candidate = caseSensitive ? names[i] : lowerNames[i];
+        return partial ? candidate.includes(target) : candidate === target;
+      };
+
+      // Exact names sit in one sorted run of lowerNames; partial names can be anywhere
+      let first = 0;
+      let last = lowerNames.length;
+      if (!partial) {
+        const lower = name.toLowerCase();
+        let high = lowerNames.length;
+        while (first < high) {
+          const middle = (first + high) >>> 1;
+          if (lowerNames[middle] < lower) first = middle + 1;
+          else high = middle;
+        }
+        last = first;
+        while (last < lowerNames.length && lowerNames[last] === lower) last++;
+      }
+
+      const matches = [];
+      for (let i = first; i < last; i++) {
+        if (isMatch(i)) {
+          matches.push(...codes.subarray(starts[i], starts[i + 1]));
+        }
+      }
+
+      return {
+        name,
+        partial,
+        caseSensitive,
+        ...FusionService.sortAndPaginatePairs(matches, {
+          sort: 'id',
+          order: 'asc',
+          limit,
+          offset,
+        }),
+      };
+    } catch (error) {
+      logger.error('FUSION', 'Error looking up fusion name:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate the query parameters of the fusion search endpoint
+   * @param {Object} query - Request query parameters
+   * @returns {Object} Validation result with parsed search options or error
+   */
+  static validateSearchOptions(query = {}) {
+    const { types, mode = 'exact', sort = 'id', order } = query;
+    const invalid = message => ({
+      valid: false,
+      error: { message, provided: { types, mode, sort, order } },
+    });
+
+    if (typeof types !== 'string' || types.trim() === '') {
+      return invalid('types is required (e.g. types=fire,flying)');
+    }
+
+    const parsedTypes = [
+      ...new Set(types.split(',').map(type => type.trim().toUpperCase())),
+    ];
+    if (parsedTypes.length > 2) {
+      return invalid('types must contain one or two types');
+    }
+    const unknownType = parsedTypes.find(
+      type => !TypeChart.TYPES.includes(type)
+    );
+    if (unknownType !== undefined) {
+      return invalid(`Unknown type: ${unknownType}`);
+    }
+
+    if (!['exact', 'contains'].includes(mode)) {
+      return invalid('mode must be one of: exact, contains');
+    }
+    if (!FusionService.SEARCH_SORTS.includes(sort)) {
+      return invalid(
+        `sort must be one of: ${FusionService.SEARCH_SORTS.join(', ')}`
+      );
+    }
+    if (order !== undefined && !['asc', 'desc'].includes(order)) {
+      return invalid('order must be one of: asc, desc');
+    }
+
+    const pagination = parsePagination(query);
+    if (pagination.error) return invalid(pagination.error);
+
+    return {
+      valid: true,
+      options: {
+        search: {
+          types: parsedTypes,
+          mode,
+          sort,
+          order: order || (sort === 'total' ? 'desc' : 'asc'),
+          ...pagination,
+        },
+      },
+    };
+  }
+
+  /**
+   * Search every head/body combination for a resulting typing
+   * Head and body are optional filters here rather than random picks.
+   */
+  static async searchFusions(options = {}) {
+    try {
+      const { types, mode, sort, order, limit, offset } = options.search;
+      const headFilter = options.headPokemon
+        ? PokemonService.getPokemonIndex(options.headPokemon)
+        : null;
+      const bodyFilter = options.bodyPokemon
+        ? PokemonService.getPokemonIndex(options.bodyPokemon)
+        : null;
+
+      const wantedKey = FusionService.getTypeKey(types);
+      const matches = [];
+
+      for (const [key, pairs] of FusionService.typeIndex) {
+        const keyTypes = key.split('/');
+        const isMatch =
+          mode === 'exact'
+            ? key === wantedKey
+            : types.every(type => keyTypes.includes(type));
+        if (!isMatch) continue;
+
+        for (const code of pairs) {
+          const [headIndex, bodyIndex] = FusionService.decodePair(code);
+          if (headFilter !== null && headIndex !== headFilter) continue;
+          if (bodyFilter !== null && bodyIndex !== bodyFilter) continue;
+          matches.push(code);
+        }
+      }
+
+      const page = FusionService.sortAndPaginatePairs(matches, {
+        sort,
+        order,
+        limit,
+        offset,
+      });
+
+      return {
+        types,
+        mode,
+        sort,
+        order,
+        ...page,
+      };
+    } catch (error) {
+      logger.error('FUSION', 'Error searching fusions:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Sort encoded head/body pairs and return one page of fusion summaries
+   */
+  static sortAndPaginatePairs(codes, { sort, order, limit, offset }) {
+    let sortValue;
+    if (sort === 'total') {
+      sortValue = code =>
+        FusionService.getIndexedStat(...FusionService.decodePair(code), 'TOTAL');
+    } else if (sort === 'name') {
+      sortValue = code => FusionService.describePair(code).fusionName;
+    } else {
+      sortValue = code => code;
+    }
+
+    const direction = order === 'desc' ? -1 : 1;
+    const sorted = codes
+      .map(code => ({ code, value: sortValue(code) }))
+      .sort((a, b) => {
+        if (a.value === b.value) return a.code - b.code;
+        const comparison =
+          typeof a.value === 'string'
+            ? a.value.localeCompare(b.value)
+            : a.value - b.value;
+        return comparison * direction;
+      });
+
+    return {
+      total: codes.length,
+      limit,
+      offset,
+      results: sorted
+        .slice(offset, offset + limit)
+        .map(({ code }) => FusionService.describePair(code)),
+    };
+  }
+
+  /**
+   * Build a compact summary (name, types, base stat total) of an encoded pair
+   */
+  static describePair(code) {
+    const [headIndex, bodyIndex] = FusionService.decodePair(code);
+    const headData = PokemonService.getPokemonById(headIndex);
+    const bodyData = PokemonService.getPokemonById(bodyIndex);
+
+    return {
+      fusionName: FusionService.calculateName(
+        headIndex,
+        bodyIndex,
+        headData,
+        bodyData
+      ),
+      fusionId: `#${headIndex}.${bodyIndex}`,
+      headIndex,
+      bodyIndex,
+      headPokemon: headData.fullName,
+      bodyPokemon: bodyData.fullName,
+      types: FusionService.calculateTypes(headData, bodyData),
+      total: FusionService.calculateBaseStats(headData, bodyData).TOTAL,
+    };
+  }
+
+  /**
+   * Validate the date and timezone query parameters of the daily fusion endpoint
+   * @param {Object} query - Request query parameters
+   * @returns {Object} Validation result with date and timezone or error
+   */
+  static validateDailyOptions(query = {}) {
+    const { date, timezone = 'UTC' } = query;
+    const invalid = message => ({
+      valid: false,
+      error: { message, provided: { date, timezone } },
+    });
+
+    try {
+      // Throws a RangeError for unknown timezones
+      Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      return invalid(`Unknown timezone: ${timezone}`);
+    }
+
+    if (date === undefined) {
+      return {
+        valid: true,
+        date: FusionService.getCurrentDate(timezone),
+        timezone,
+      };
+    }
+
+    const match =
+      typeof date === 'string' && date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const parsed = match && new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+    if (!parsed || parsed.toISOString().slice(0, 10) !== date) {
+      return invalid('date must be a valid date in YYYY-MM-DD format');
+    }
+
+    return { valid: true, date, timezone };
+  }
+
+  /**
+   * Get the current date (YYYY-MM-DD) in a timezone
+   */
+  static getCurrentDate(timezone) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).format(new Date());
+  }
+
+  /**
+   * Get the number of seconds until the next midnight in a timezone
+   */
+  static getSecondsUntilNextDay(timezone) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        hourCycle: 'h23',
+      })
+        .formatToParts(new Date())
+        .map(({ type, value }) => [type, parseInt(value, 10)])
+    );
+    const elapsed = parts.hour * 3600 + parts.minute * 60 + parts.second;
+    return Math.max(86400 - elapsed, 1);
+  }
+
+  /**
+   * Generate the fusion of the day, picked deterministically from the date
+   */
+  static async getDailyFusion(date) {
+    const seed = `daily-${date}`;
+    const fusion = await FusionService.generateFusion({
+      random: createSeededRandom(seed),
+    });
+    return { seed, fusion };
+  }
+
+  /**
+   * Validate the filters that constrain random head/body picks
+   * @param {Object} query - Request query parameters
+   * @returns {Object} Validation result with parsed filters (null when none are set) or error
+   */
+  static validateRandomFilters(query = {}) {
+    const {
+      spriteSource,
+      type,
+      headType,
+      bodyType,
+      headGeneration,
+      bodyGeneration,
+      excludeLegendary,
+    } = query;
+    const provided = {
+      spriteSource,
+      type,
+      headType,
+      bodyType,
+      headGeneration,
+      bodyGeneration,
+      excludeLegendary,
+    };
+    const invalid = message => ({
+      valid: false,
+      error: { message, provided },
+    });
+
+    if (Object.values(provided).every(value => value === undefined)) {
+      return { valid: true, options: { filters: null } };
+    }
+
+    if (
+      spriteSource !== undefined &&
+      !FusionService.SPRITE_SOURCE_FILTERS.includes(spriteSource)
+    ) {
+      return invalid(
+        `spriteSource must be one of: ${FusionService.SPRITE_SOURCE_FILTERS.join(', ')}`
+      );
+    }
+
+    const types = {};
+    for (const [key, value] of Object.entries({ type, headType, bodyType })) {
+      if (value === undefined) continue;
+      types[key] = typeof value === 'string' ? value.toUpperCase() : value;
+      if (!TypeChart.TYPES.includes(types[key])) {
+        return invalid(`Unknown ${key}: ${value}`);
+      }
+    }
+
+    const generations = {};
+    const maxGeneration = GameData.GENERATION_DEX_LIMITS.length;
+    for (const [key, value] of Object.entries({
+      headGeneration,
+      bodyGeneration,
+    })) {
+      generations[key] = parseIntegerParam(value, {
+        min: 1,
+        max: maxGeneration,
+        defaultValue: null,
+      });
+      if (value !== undefined && generations[key] === null) {
+        return invalid(
+          `${key} must be an integer between 1 and ${maxGeneration}`
+        );
+      }
+    }
+
+    if (
+      excludeLegendary !== undefined &&
+      !['true', 'false'].includes(excludeLegendary)
+    ) {
+      return invalid('excludeLegendary must be true or false');
+    }
+
+    return {
+      valid: true,
+      options: {
+        filters: {
+          spriteSource: spriteSource || null,
+          type: types.type || null,
+          headType: types.headType || null,
+          bodyType: types.bodyType || null,
+          headGeneration: generations.headGeneration,
+          bodyGeneration: generations.bodyGeneration,
+          excludeLegendary: excludeLegendary === 'true',
+        },
+      },
+    };
+  }
+
+  /**
+   * Pick a head/body pair uniformly among the pairs matching the random filters
+   * Part filters only apply to the randomly picked parts; explicit picks are kept.
+   * @returns {Array|null} [headIndex, bodyIndex] or null when nothing matches
+   */
+  static pickFilteredPair(options, random) {
+    const { filters } = options;
+    const ids = PokemonService.getAllPokemonIds();
+
+    const partCandidates = (pokemonName, partType, partGeneration) => {
+      if (pokemonName && PokemonService.isValidPokemon(pokemonName)) {
+        return [PokemonService.getPokemonIndex(pokemonName)];
+      }
+      return ids.filter(
+        id =>
+          (!partType || PokemonService.getPokemonTypes(id).includes(partType)) &&
+          (!partGeneration ||
+            PokemonService.getPokemonGeneration(id) === partGeneration) &&
+          (!filters.excludeLegendary || !PokemonService.isLegendary(id))
+      );
+    };
+
+    const heads = partCandidates(
+      options.headPokemon,
+      filters.headType,
+      filters.headGeneration
+    );
+    const bodies = partCandidates(
+      options.bodyPokemon,
+      filters.bodyType,
+      filters.bodyGeneration
+    );
+    const pick = list => list[Math.floor(random() * list.length)];
+
+    if (heads.length === 0 || bodies.length === 0) return null;
+
+    // Part filters alone are independent, so each part can be picked separately
+    if (!filters.type && !filters.spriteSource) {
+      return [pick(heads), pick(bodies)];
+    }
+
+    const headSet = new Set(heads);
+    const bodySet = new Set(bodies);
+    const matches = [];
+
+    // Candidate pairs come from the smallest applicable index: the sprite index
+    // (narrowed by the type index) or the type index alone
+    const typeCodes = [];
+    if (filters.type) {
+      for (const [key, pairs] of FusionService.typeIndex) {
+        if (key.split('/').includes(filters.type)) typeCodes.push(pairs);
+      }
+    }
+
+    let candidates = typeCodes;
+    if (filters.spriteSource) {
+      const sources =
+        filters.spriteSource === 'any'
+          ? ['custom', 'autogen']
+          : [filters.spriteSource];
+      candidates = sources.map(source => FusionService.spriteIndex[source]);
+
+      if (filters.type) {
+        const typed = new Set();
+        for (const pairs of typeCodes) {
+          for (const code of pairs) typed.add(code);
+        }
+        candidates = candidates.map(pairs =>
+          pairs.filter(code => typed.has(code))
+        );
+      }
+    }
+
+    for (const pairs of candidates) {
+      for (const code of pairs) {
+        const [headIndex, bodyIndex] = FusionService.decodePair(code);
+        if (headSet.has(headIndex) && bodySet.has(bodyIndex)) {
+          matches.push(code);
+        }
+      }
+    }
+
+    return matches.length > 0
+      ? FusionService.decodePair(pick(matches))
+      : null;
+  }
+
+  /**
+   * Validate the name query parameter of the triple fusion endpoint
+   * @param {Object} query - Request query parameters
+   * @returns {Object} Validation result with the requested triple (null for random) or error
+   */
+  static validateTripleOptions(query = {}) {
+    const { name } = query;
+    if (name === undefined) return { valid: true, options: { triple: null } };
+
+    const normalized = typeof name === 'string' ? name.toLowerCase() : '';
+    const triple = TripleFusions.TRIPLES.find(
+      ({ id, name: tripleName }) =>
+        id === normalized || tripleName.toLowerCase() === normalized
+    );
+
+    if (!triple) {
+      return {
+        valid: false,
+        error: {
+          message: `Unknown triple fusion: ${name}. Available: ${TripleFusions.TRIPLES.map(({ name }) => name).join(', ')}`,
+          provided: { name },
+        },
+      };
+    }
+
+    return { valid: true, options: { triple } };
+  }
+
+  /**
+   * Get a known triple fusion: its members and sprite
+   * The game defines each triple's types, stats and Pokedex entry by hand, and
+   * that data is not available here, so none of it is derived from the members.
+   */
+  static async getTripleFusion(options = {}) {
+    try {
+      const random = options.random || Math.random;
+      const available = FusionService.availableTriples;
+      if (options.triple && !available.includes(options.triple)) {
+        const error = new Error(
+          `Triple fusion ${options.triple.name} is unavailable: not all of its members are in the Pokedex data`
+        );
+        error.statusCode = 404;
+        throw error;
+      }
+      if (!options.triple && available.length === 0) {
+        const error = new Error('No triple fusions are available');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const triple =
+        options.triple || available[Math.floor(random() * available.length)];
+
+      const members = triple.members.map((memberName, i) => {
+        const data = PokemonService.getPokemonByName(memberName);
+        return {
+          name: data.fullName,
+          index: parseInt(data.id, 10),
+          role: ['head', 'body', 'third'][i],
+        };
+      });
+
+      logger.info(
+        'FUSION',
+        `Getting triple fusion: ${triple.name} (${members.map(({ name }) => name).join(' + ')})`
+      );
+
+      logger.fusionComplete();
+      return {
+        tripleId: triple.id,
+        fusionName: triple.name,
+        fusionImageUrl: `${config.server.url}/api/images/triple/${triple.id}`,
+        spriteSource: ImageService.getTripleSpriteSource(triple.id),
+        spriteArtists: [],
+        members,
+        timestamp: new Date().toISOString(),
+      };
+    } catch (error) {
+      logger.error('FUSION', 'Error getting triple fusion:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get basic Pokemon data and prepare for fusion calculations
+   */
+  static prepareFusionData(options = {}) {
+    // Get Pokemon names (specific or random, optionally from a seeded source)
+    const random = options.random || Math.random;
+    let headPokemon, bodyPokemon;
+
+    // Constrained random picks choose uniformly among pairs matching the filters
+    if (
+      options.filters &&
+      !(
+        PokemonService.isValidPokemon(options.headPokemon) &&
+        PokemonService.isValidPokemon(options.bodyPokemon)
+      )
+    ) {
+      const pair = FusionService.pickFilteredPair(options, random);
+      if (!pair) {
+        const error = new Error('No fusions match the requested filters');
+        error.statusCode = 404;
+        throw error;
+      }
+      [headPokemon, bodyPokemon] = pair.map(
+        id => PokemonService.getPokemonById(id).fullName
+      );
+    } else {
+      if (
+        options.headPokemon &&
+        PokemonService.isValidPokemon(options.headPokemon)
+      ) {
+        headPokemon = options.headPokemon;
+      } else {
+        headPokemon = PokemonService.getRandomPokemonName(random);
+      }
+
+      if (
+        options.bodyPokemon &&
+        PokemonService.isValidPokemon(options.bodyPokemon)
+      ) {
+        bodyPokemon = options.bodyPokemon;
+      } else {
+        bodyPokemon = PokemonService.getRandomPokemonName(random);
+      }
+    }
+
+    // Get Pokemon data for fusion generation
+    const headIndex = PokemonService.getPokemonIndex(headPokemon);
+    const bodyIndex = PokemonService.getPokemonIndex(bodyPokemon);
+    const headData = PokemonService.getPokemonById(headIndex);
+    const bodyData = PokemonService.getPokemonById(bodyIndex);
+
+    return {
+      headPokemon,
+      bodyPokemon,
+      headIndex,
+      bodyIndex,
+      headData,
+      bodyData,
+    };
+  }
+
+  /**
+   * Get only Pokemon names from a fusion
+   */
+  static async getFusionNames(options = {}) {
+    try {
+      const {
+        headPokemon,
+        bodyPokemon,
+        headIndex,
+        bodyIndex,
+        headData,
+        bodyData,
+      } = FusionService.prepareFusionData(options);
+
+      logger.fusion(headPokemon, headIndex, bodyPokemon, bodyIndex);
+
+      const fusionName = FusionService.calculateName(
+        headIndex,
+        bodyIndex,
+        headData,
+        bodyData
+      );
+      const fusionId = `#${headIndex}.${bodyIndex}`;
+
+      logger.fusionComplete();
+      return {
+        fusionName,
+        fusionId,
+        leftPokemonName: headPokemon,
+        rightPokemonName: bodyPokemon,
+      };
+    } catch (error) {
+      logger.error('FUSION', 'Error getting names:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get only type information from a fusion
+   */
+  static async getFusionTypes(options = {}) {
+    try {
+      const {
+        headPokemon,
+        bodyPokemon,
+        headIndex,
+        bodyIndex,
+        headData,
+        bodyData,
+      } = FusionService.prepareFusionData(options);
+
+      logger.fusion(headPokemon, headIndex, bodyPokemon, bodyIndex);
+
+      const fusionTypes = FusionService.calculateTypes(headData, bodyData);
+      const types = fusionTypes.map(type => ({
+        name: type,
+        imageUrl: `${config.server.url}/api/images/types/${type.toLowerCase()}`,
+      }));
+
+      logger.fusionComplete();
+      return { types };
+    } catch (error) {
+      logger.error('FUSION', 'Error getting types:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get only stats information from a fusion
+   */
+  static async getFusionStats(options = {}) {
+    try {
+      const {
+        headPokemon,
+        bodyPokemon,
+        headIndex,
+        bodyIndex,
+        headData,
+        bodyData,
+      } = FusionService.prepareFusionData(options);
+
+      logger.fusion(headPokemon, headIndex, bodyPokemon, bodyIndex);
+
+      const stats = FusionService.calculateBaseStats(headData, bodyData);
+
+      logger.fusionComplete();
+      if (!options.statOptions) return { stats };
+
+      return {
+        stats,
+        ...FusionService.calculateBattleStats(stats, options.statOptions),
+      };
+    } catch (error) {
+      logger.error('FUSION', 'Error getting stats:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get only the ability pool of a fusion
+   */
+  static async getFusionAbilities(options = {}) {
+    try {
+      const { headPokemon, bodyPokemon, headIndex, bodyIndex } =
+        FusionService.prepareFusionData(options);
+
+      logger.fusion(headPokemon, headIndex, bodyPokemon, bodyIndex);
+
+      const abilities = FusionService.calculateAbilities(headIndex, bodyIndex);
 
-    if (
-      options.bodyPokemon &&
-      PokemonService.isValidPokemon(options.bodyPokemon)
-    ) {
-      bodyPokemon = options.bodyPokemon;
-    } else {
-      bodyPokemon = PokemonService.getRandomPokemonName();
+      logger.fusionComplete();
+      return { abilities };
+    } catch (error) {
+      logger.error('FUSION', 'Error getting abilities:', error.message);
+      throw error;
     }
+  }
 
-    // Get Pokemon data for fusion generation
-    const headIndex = PokemonService.getPokemonIndex(headPokemon);
-    const bodyIndex = PokemonService.getPokemonIndex(bodyPokemon);
-    const headData = PokemonService.getPokemonById(headIndex);
-    const bodyData = PokemonService.getPokemonById(bodyIndex);
+  /**
+   * Get the combined learnset of a fusion
+   */
+  static async getFusionMoves(options = {}) {
+    try {
+      const { headPokemon, bodyPokemon, headIndex, bodyIndex } =
+        FusionService.prepareFusionData(options);
 
-    return {
-      headPokemon,
-      bodyPokemon,
-      headIndex,
-      bodyIndex,
-      headData,
-      bodyData,
-    };
+      logger.fusion(headPokemon, headIndex, bodyPokemon, bodyIndex);
+
+      const moves = FusionService.calculateLearnset(headIndex, bodyIndex);
+
+      logger.fusionComplete();
+      return { moves };
+    } catch (error) {
+      logger.error('FUSION', 'Error getting moves:', error.message);
+      throw error;
+    }
   }
 
   /**
-   * Get only Pokemon names from a fusion
+   * Compare both head/body orderings of two Pokemon side by side
    */
-  static async getFusionNames(options = {}) {
+  static async getFusionComparison(options = {}) {
     try {
       const {
         headPokemon,
@@ -272,65 +1684,234 @@ class FusionService {
         bodyIndex,
         headData,
         bodyData,
-      } = FusionService.prepareFusionData(options);
+      } = FusionService.prepareFusionData({
+        headPokemon: options.pokemonA,
+        bodyPokemon: options.pokemonB,
+        random: options.random,
+        filters: options.filters,
+      });
 
       logger.fusion(headPokemon, headIndex, bodyPokemon, bodyIndex);
+      logger.fusion(bodyPokemon, bodyIndex, headPokemon, headIndex);
 
-      const fusionName = FusionService.calculateName(
+      const forward = FusionService.summarizeFusion(
+        headPokemon,
+        bodyPokemon,
         headIndex,
         bodyIndex,
         headData,
         bodyData
       );
-      const fusionId = `#${headIndex}.${bodyIndex}`;
+      const reverse = FusionService.summarizeFusion(
+        bodyPokemon,
+        headPokemon,
+        bodyIndex,
+        headIndex,
+        bodyData,
+        headData
+      );
+
+      // Deltas are the first ordering minus the swapped ordering
+      const statDeltas = {};
+      for (const stat of Object.keys(forward.stats)) {
+        statDeltas[stat] = forward.stats[stat] - reverse.stats[stat];
+      }
+
+      let higherTotal = null;
+      if (statDeltas.TOTAL !== 0) {
+        const best = statDeltas.TOTAL > 0 ? forward : reverse;
+        const other = best === forward ? reverse : forward;
+        higherTotal = {
+          fusionName: best.fusionName,
+          fusionId: best.fusionId,
+          message: `${best.fusionName} (${best.headPokemon} head) has the higher base stat total: ${best.stats.TOTAL} vs ${other.stats.TOTAL}`,
+        };
+      }
 
       logger.fusionComplete();
       return {
-        fusionName,
-        fusionId,
-        leftPokemonName: headPokemon,
-        rightPokemonName: bodyPokemon,
+        orderings: [forward, reverse],
+        statDeltas,
+        higherTotal,
       };
     } catch (error) {
-      logger.error('FUSION', 'Error getting names:', error.message);
+      logger.error('FUSION', 'Error comparing fusions:', error.message);
       throw error;
     }
   }
 
   /**
-   * Get only type information from a fusion
+   * Summarize one head/body ordering for comparisons
    */
-  static async getFusionTypes(options = {}) {
-    try {
-      const {
-        headPokemon,
-        bodyPokemon,
+  static summarizeFusion(
+    headPokemon,
+    bodyPokemon,
+    headIndex,
+    bodyIndex,
+    headData,
+    bodyData
+  ) {
+    const fusionTypes = FusionService.calculateTypes(headData, bodyData);
+    const sprite = ImageService.generateFusionImagePath(headIndex, bodyIndex);
+
+    return {
+      fusionName: FusionService.calculateName(
         headIndex,
         bodyIndex,
         headData,
-        bodyData,
-      } = FusionService.prepareFusionData(options);
+        bodyData
+      ),
+      fusionId: `#${headIndex}.${bodyIndex}`,
+      headPokemon,
+      bodyPokemon,
+      fusionImageUrl: `${config.server.url}/api/images/fusion/${headIndex}/${bodyIndex}`,
+      spriteSource: ImageService.getSpriteSource(headIndex, bodyIndex),
+      spriteArtists: FusionService.getSpriteArtists(headIndex, bodyIndex),
+      hasSprite: sprite.imageUrl !== ImageService.NULL_SPRITE,
+      types: fusionTypes.map(type => ({
+        name: type,
+        imageUrl: `${config.server.url}/api/images/types/${type.toLowerCase()}`,
+      })),
+      stats: FusionService.calculateBaseStats(headData, bodyData),
+    };
+  }
+
+  /**
+   * Validate the a/b query parameters used by the comparison endpoint
+   * @param {Object} query - Request query parameters
+   * @returns {Object} Validation result with normalized names or error
+   */
+  static validateComparisonOptions(query = {}) {
+    const { a, b } = query;
+    const options = {};
+
+    for (const [key, value] of [
+      ['pokemonA', a],
+      ['pokemonB', b],
+    ]) {
+      if (!value) continue;
+      options[key] = PokemonService.normalizePokemonName(value);
+      if (!options[key]) {
+        return {
+          valid: false,
+          error: {
+            message: `Invalid Pokemon: ${value}. Use GET /api/pokemon to see available Pokemon.`,
+            provided: { a, b },
+            suggestions: PokemonService.suggestPokemonNames(value),
+          },
+        };
+      }
+    }
+
+    return { valid: true, options };
+  }
+
+  /**
+   * Get the fused evolution tree of a fusion
+   */
+  static async getFusionEvolutions(options = {}) {
+    try {
+      const { headPokemon, bodyPokemon, headIndex, bodyIndex } =
+        FusionService.prepareFusionData(options);
 
       logger.fusion(headPokemon, headIndex, bodyPokemon, bodyIndex);
 
-      const fusionTypes = FusionService.calculateTypes(headData, bodyData);
-      const types = fusionTypes.map(type => ({
-        name: type,
-        imageUrl: `${config.server.url}/api/images/types/${type.toLowerCase()}`,
-      }));
+      const tree = FusionService.buildEvolutionNode(
+        FusionService.getBaseForm(headIndex),
+        FusionService.getBaseForm(bodyIndex),
+        { headIndex, bodyIndex }
+      );
 
       logger.fusionComplete();
-      return { types };
+      return {
+        fusionId: `#${headIndex}.${bodyIndex}`,
+        tree,
+      };
     } catch (error) {
-      logger.error('FUSION', 'Error getting types:', error.message);
+      logger.error('FUSION', 'Error getting evolutions:', error.message);
       throw error;
     }
   }
 
   /**
-   * Get only stats information from a fusion
+   * Walk pre-evolutions back to the first stage of a Pokemon's family
    */
-  static async getFusionStats(options = {}) {
+  static getBaseForm(pokemonId) {
+    const visited = new Set([pokemonId]);
+    let baseId = pokemonId;
+
+    for (;;) {
+      const [preEvolution] = PokemonService.getPokemonPreEvolutions(baseId);
+      if (!preEvolution || visited.has(preEvolution.species)) return baseId;
+      baseId = preEvolution.species;
+      visited.add(baseId);
+    }
+  }
+
+  /**
+   * Build a fused evolution tree node; a fusion evolves whenever its head or
+   * its body evolves, keeping the other part unchanged
+   */
+  static buildEvolutionNode(headIndex, bodyIndex, current, path = new Set()) {
+    const headData = PokemonService.getPokemonById(headIndex);
+    const bodyData = PokemonService.getPokemonById(bodyIndex);
+    const fusionId = `#${headIndex}.${bodyIndex}`;
+    const branchPath = new Set(path).add(fusionId);
+
+    const evolutions = [];
+    for (const part of ['head', 'body']) {
+      const partIndex = part === 'head' ? headIndex : bodyIndex;
+
+      for (const evolution of PokemonService.getPokemonEvolutions(partIndex)) {
+        const nextHead = part === 'head' ? evolution.species : headIndex;
+        const nextBody = part === 'body' ? evolution.species : bodyIndex;
+
+        // Skip missing Pokemon and guard against cyclic evolution data
+        if (
+          !PokemonService.getPokemonById(evolution.species) ||
+          branchPath.has(`#${nextHead}.${nextBody}`)
+        ) {
+          continue;
+        }
+
+        evolutions.push({
+          trigger: {
+            part,
+            pokemon: PokemonService.getPokemonById(partIndex).fullName,
+            method: evolution.method,
+            parameter: evolution.parameter,
+          },
+          ...FusionService.buildEvolutionNode(
+            nextHead,
+            nextBody,
+            current,
+            branchPath
+          ),
+        });
+      }
+    }
+
+    return {
+      fusionId,
+      fusionName: FusionService.calculateName(
+        headIndex,
+        bodyIndex,
+        headData,
+        bodyData
+      ),
+      headPokemon: headData.fullName,
+      bodyPokemon: bodyData.fullName,
+      fusionImageUrl: `${config.server.url}/api/images/fusion/${headIndex}/${bodyIndex}`,
+      isCurrent:
+        headIndex === current.headIndex && bodyIndex === current.bodyIndex,
+      evolutions,
+    };
+  }
+
+  /**
+   * Get type matchups (defensive multipliers and offensive STAB coverage) from a fusion
+   */
+  static async getFusionMatchups(options = {}) {
     try {
       const {
         headPokemon,
@@ -343,12 +1924,20 @@ class FusionService {
 
       logger.fusion(headPokemon, headIndex, bodyPokemon, bodyIndex);
 
-      const stats = FusionService.calculateBaseStats(headData, bodyData);
+      const fusionTypes = FusionService.calculateTypes(headData, bodyData);
+      const types = fusionTypes.map(type => ({
+        name: type,
+        imageUrl: `${config.server.url}/api/images/types/${type.toLowerCase()}`,
+      }));
+      const matchups = FusionService.calculateMatchups(fusionTypes);
 
       logger.fusionComplete();
-      return { stats };
+      return {
+        types,
+        ...matchups,
+      };
     } catch (error) {
-      logger.error('FUSION', 'Error getting stats:', error.message);
+      logger.error('FUSION', 'Error getting matchups:', error.message);
       throw error;
     }
   }
@@ -380,7 +1969,9 @@ class FusionService {
         bodyData,
         fusionName,
         headIndex,
-        bodyIndex
+        bodyIndex,
+        options.random,
+        options.dexEntry
       );
       const category = FusionService.calculateCategory(bodyData, headData);
       const height = FusionService.calculateHeight(headData, bodyData);
@@ -390,6 +1981,7 @@ class FusionService {
       return {
         pokedexEntry: pokedexData.entry,
         pokedexAuthor: pokedexData.author,
+        pokedexEntryIndex: pokedexData.index,
         category,
         height,
         weight,
@@ -437,38 +2029,62 @@ class FusionService {
   }
 
   /**
-   * Calculate fusion name using authentic Pokemon Infinite Fusion logic
+   * Calculate the damage multiplier of an attacking type against one or more defending types
    */
-  static calculateName(headIndex, bodyIndex, headData, bodyData) {
-    try {
-      const GameData = require('../data/GameData');
+  static calculateTypeEffectiveness(attackType, defendingTypes) {
+    const chart = TypeChart.EFFECTIVENESS[attackType] || {};
+    return defendingTypes.reduce(
+      (multiplier, defendingType) =>
+        multiplier * (chart[defendingType] ?? 1),
+      1
+    );
+  }
 
-      // Get mapped indices using NAT_DEX_MAPPING
-      const bodyNatDex = GameData.NAT_DEX_MAPPING[bodyIndex] || bodyIndex;
-      const headNatDex = GameData.NAT_DEX_MAPPING[headIndex] || headIndex;
+  /**
+   * Calculate defensive multipliers and offensive STAB coverage for a typing
+   */
+  static calculateMatchups(types) {
+    const defensive = {
+      '4x': [],
+      '2x': [],
+      '1x': [],
+      '0.5x': [],
+      '0.25x': [],
+      '0x': [],
+    };
+    const offensive = {
+      '2x': [],
+      '1x': [],
+      '0.5x': [],
+      '0x': [],
+    };
 
-      const headSplits = GameData.SPLIT_NAMES[headNatDex] || [
-        headData.fullName,
-        '',
-      ];
-      const bodySplits = GameData.SPLIT_NAMES[bodyNatDex] || [
-        '',
-        bodyData.fullName,
-      ];
+    for (const type of TypeChart.TYPES) {
+      // How hard each attacking type hits the fused typing
+      const taken = this.calculateTypeEffectiveness(type, types);
+      defensive[`${taken}x`].push(type);
 
-      let prefix = headSplits[0] || headData.fullName;
-      const suffix = bodySplits[1] || bodySplits[0] || bodyData.fullName;
+      // Best multiplier any of the fusion's STAB types deals to this type
+      const dealt = Math.max(
+        ...types.map(stabType =>
+          this.calculateTypeEffectiveness(stabType, [type])
+        )
+      );
+      offensive[`${dealt}x`].push(type);
+    }
 
-      // Handle overlapping characters (if prefix ends with same char as suffix starts)
-      if (
-        prefix.length > 0 &&
-        suffix.length > 0 &&
-        prefix[prefix.length - 1] === suffix[0]
-      ) {
-        prefix = prefix.slice(0, -1);
-      }
+    return { defensive, offensive };
+  }
 
-      return prefix + suffix;
+  /**
+   * Calculate fusion name using authentic Pokemon Infinite Fusion logic
+   */
+  static calculateName(headIndex, bodyIndex, headData, bodyData) {
+    try {
+      return this.combineNameParts(
+        this.getNamePrefix(headIndex, headData),
+        this.getNameSuffix(bodyIndex, bodyData)
+      );
     } catch (error) {
       logger.error(
         'FUSION',
@@ -479,6 +2095,47 @@ class FusionService {
     }
   }
 
+  /**
+   * Get the head's contribution to a fusion name (e.g. "Bulba")
+   */
+  static getNamePrefix(headIndex, headData) {
+    // Get mapped index using NAT_DEX_MAPPING
+    const headNatDex = GameData.NAT_DEX_MAPPING[headIndex] || headIndex;
+    const headSplits = GameData.SPLIT_NAMES[headNatDex] || [
+      headData.fullName,
+      '',
+    ];
+    return headSplits[0] || headData.fullName;
+  }
+
+  /**
+   * Get the body's contribution to a fusion name (e.g. "mander")
+   */
+  static getNameSuffix(bodyIndex, bodyData) {
+    // Get mapped index using NAT_DEX_MAPPING
+    const bodyNatDex = GameData.NAT_DEX_MAPPING[bodyIndex] || bodyIndex;
+    const bodySplits = GameData.SPLIT_NAMES[bodyNatDex] || [
+      '',
+      bodyData.fullName,
+    ];
+    return bodySplits[1] || bodySplits[0] || bodyData.fullName;
+  }
+
+  /**
+   * Join name parts, trimming the overlapping character if the prefix ends
+   * with the same character the suffix starts with
+   */
+  static combineNameParts(prefix, suffix) {
+    if (
+      prefix.length > 0 &&
+      suffix.length > 0 &&
+      prefix[prefix.length - 1] === suffix[0]
+    ) {
+      return prefix.slice(0, -1) + suffix;
+    }
+    return prefix + suffix;
+  }
+
   /**
    * Calculate base stats using authentic Pokemon Infinite Fusion formulas
    */
@@ -537,6 +2194,291 @@ class FusionService {
     return fusedStats;
   }
 
+  /**
+   * Calculate fusion ability slots using Pokemon Infinite Fusion logic
+   * The game's two regular slots are the body's first ability and the head's
+   * second ability (its first when it has only one); see "Abilities" on the
+   * Infinite Fusion wiki. Hidden slots are the body's then the head's hidden
+   * abilities.
+   */
+  static calculateAbilities(headIndex, bodyIndex) {
+    const head = PokemonService.getPokemonAbilities(headIndex);
+    const body = PokemonService.getPokemonAbilities(bodyIndex);
+
+    const slots = [
+      { name: body.abilities[0], source: 'body', hidden: false },
+      {
+        name: head.abilities[1] || head.abilities[0],
+        source: 'head',
+        hidden: false,
+      },
+      ...body.hiddenAbilities.map(name => ({
+        name,
+        source: 'body',
+        hidden: true,
+      })),
+      ...head.hiddenAbilities.map(name => ({
+        name,
+        source: 'head',
+        hidden: true,
+      })),
+    ];
+
+    // Keep the first slot each ability appears in
+    const seen = new Set();
+    return slots.filter(slot => {
+      if (!slot.name || seen.has(slot.name)) return false;
+      seen.add(slot.name);
+      return true;
+    });
+  }
+
+  /**
+   * Calculate fusion learnset using authentic Pokemon Infinite Fusion logic
+   * Head and body move lists are merged; level-up moves keep the lowest level
+   * either parent learns them at.
+   */
+  static calculateLearnset(headIndex, bodyIndex) {
+    const parents = [
+      ['head', PokemonService.getPokemonLearnset(headIndex)],
+      ['body', PokemonService.getPokemonLearnset(bodyIndex)],
+    ];
+
+    const levelUp = new Map(); // move ID -> { level, learnedFrom }
+    const otherMoves = { tm: new Map(), tutor: new Map(), egg: new Map() };
+
+    for (const [source, learnset] of parents) {
+      for (const { level, move } of learnset.levelUp) {
+        const existing = levelUp.get(move);
+        if (!existing) {
+          levelUp.set(move, { level, learnedFrom: [source] });
+          continue;
+        }
+        existing.level = Math.min(existing.level, level);
+        if (!existing.learnedFrom.includes(source)) {
+          existing.learnedFrom.push(source);
+        }
+      }
+
+      for (const [method, moves] of Object.entries(otherMoves)) {
+        for (const move of learnset[method]) {
+          if (!moves.has(move)) moves.set(move, []);
+          if (!moves.get(move).includes(source)) moves.get(move).push(source);
+        }
+      }
+    }
+
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const listMoves = moves =>
+      [...moves.entries()]
+        .map(([move, learnedFrom]) => ({
+          ...this.formatMove(move),
+          learnedFrom,
+        }))
+        .sort(byName);
+
+    return {
+      levelUp: [...levelUp.entries()]
+        .map(([move, { level, learnedFrom }]) => ({
+          level,
+          ...this.formatMove(move),
+          learnedFrom,
+        }))
+        .sort((a, b) => a.level - b.level || byName(a, b)),
+      tm: listMoves(otherMoves.tm),
+      tutor: listMoves(otherMoves.tutor),
+      egg: listMoves(otherMoves.egg),
+    };
+  }
+
+  /**
+   * Format a move ID with its type, category and power from the move dataset
+   */
+  static formatMove(moveId) {
+    const move = PokemonService.getMove(moveId);
+    return {
+      name: move?.name || moveId,
+      type: move?.type || null,
+      category: move?.category || null,
+      power: move?.power ?? null,
+    };
+  }
+
+  /**
+   * Validate level, IV, EV and nature query parameters for battle stat calculation
+   * @param {Object} query - Request query parameters
+   * @returns {Object} Validation result with parsed stat options or error
+   */
+  static validateStatOptions(query = {}) {
+    const { level, ivs, evs, nature } = query;
+
+    if ([level, ivs, evs, nature].every(value => value === undefined)) {
+      return { valid: true, options: {} };
+    }
+
+    const errors = [];
+
+    const parsedLevel = level === undefined ? 100 : Number(level);
+    if (!Number.isInteger(parsedLevel) || parsedLevel < 1 || parsedLevel > 100) {
+      errors.push('level must be an integer between 1 and 100');
+    }
+
+    const parsedIvs =
+      ivs === undefined
+        ? null
+        : FusionService.parseStatSpread(ivs, FusionService.MAX_IV);
+    if (parsedIvs === false) {
+      errors.push(
+        `ivs must be one value or 6 comma-separated values between 0 and ${FusionService.MAX_IV}`
+      );
+    }
+
+    // One EV applied to all six stats exceeds the 510 total above 85, so EVs
+    // are always given per stat
+    const parsedEvs =
+      evs === undefined
+        ? null
+        : FusionService.parseStatSpread(evs, FusionService.MAX_EV, {
+            allowSingle: false,
+          });
+    if (parsedEvs === false) {
+      errors.push(
+        `evs must be 6 comma-separated values between 0 and ${FusionService.MAX_EV}`
+      );
+    } else if (
+      parsedEvs &&
+      Object.values(parsedEvs).reduce((sum, ev) => sum + ev, 0) >
+        FusionService.MAX_TOTAL_EVS
+    ) {
+      errors.push(`evs must not total more than ${FusionService.MAX_TOTAL_EVS}`);
+    }
+
+    const parsedNature =
+      typeof nature === 'string' ? nature.toUpperCase() : nature;
+    if (parsedNature !== undefined && !GameData.NATURES[parsedNature]) {
+      errors.push(`nature must be one of: ${Object.keys(GameData.NATURES).join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      return {
+        valid: false,
+        error: {
+          message: errors.join('; '),
+          provided: { level, ivs, evs, nature },
+        },
+      };
+    }
+
+    return {
+      valid: true,
+      options: {
+        statOptions: {
+          level: parsedLevel,
+          ivs: parsedIvs,
+          evs: parsedEvs,
+          nature: parsedNature || null,
+        },
+      },
+    };
+  }
+
+  /**
+   * Parse a single value or a 6 value comma-separated stat spread
+   * @param {Object} options - { allowSingle } to accept one value for every stat
+   * @returns {Object|boolean} Values keyed by stat, or false if invalid
+   */
+  static parseStatSpread(value, max, { allowSingle = true } = {}) {
+    if (typeof value !== 'string') return false;
+
+    const parts = value.split(',').map(part => part.trim());
+    if (
+      !(allowSingle && parts.length === 1) &&
+      parts.length !== FusionService.STAT_KEYS.length
+    ) {
+      return false;
+    }
+    if (parts.some(part => !/^\d+$/.test(part) || parseInt(part, 10) > max)) {
+      return false;
+    }
+
+    return Object.fromEntries(
+      FusionService.STAT_KEYS.map((stat, i) => [
+        stat,
+        parseInt(parts.length === 1 ? parts[0] : parts[i], 10),
+      ])
+    );
+  }
+
+  /**
+   * Calculate actual stats at a level from fused base stats
+   * Returns exact stats when both IVs and EVs are given, otherwise min/max ranges
+   * over the omitted values (and over natures when no nature is given).
+   */
+  static calculateBattleStats(baseStats, { level, ivs, evs, nature }) {
+    const result = { level, nature, ivs, evs };
+    const natureData = nature ? GameData.NATURES[nature] : null;
+
+    const natureModifier = (stat, fallback) => {
+      if (stat === 'HP') return 1;
+      if (!natureData) return fallback;
+      if (natureData.increased === natureData.decreased) return 1;
+      if (natureData.increased === stat) return 1.1;
+      if (natureData.decreased === stat) return 0.9;
+      return 1;
+    };
+
+    if (ivs && evs) {
+      result.battleStats = {};
+      for (const stat of this.STAT_KEYS) {
+        result.battleStats[stat] = this.calculateStat(
+          stat,
+          baseStats[stat],
+          ivs[stat],
+          evs[stat],
+          level,
+          natureModifier(stat, 1)
+        );
+      }
+      result.battleStats.TOTAL = Object.values(result.battleStats).reduce(
+        (sum, stat) => sum + stat,
+        0
+      );
+      return result;
+    }
+
+    result.statRanges = {};
+    for (const stat of this.STAT_KEYS) {
+      result.statRanges[stat] = {
+        min: this.calculateStat(
+          stat,
+          baseStats[stat],
+          ivs ? ivs[stat] : 0,
+          evs ? evs[stat] : 0,
+          level,
+          natureModifier(stat, 0.9)
+        ),
+        max: this.calculateStat(
+          stat,
+          baseStats[stat],
+          ivs ? ivs[stat] : this.MAX_IV,
+          evs ? evs[stat] : this.MAX_EV,
+          level,
+          natureModifier(stat, 1.1)
+        ),
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Calculate a single stat using the standard stat formulas
+   */
+  static calculateStat(stat, base, iv, ev, level, natureModifier) {
+    const core = Math.floor(((2 * base + iv + Math.floor(ev / 4)) * level) / 100);
+    if (stat === 'HP') return core + level + 10;
+    return Math.floor((core + 5) * natureModifier);
+  }
+
   /**
    * Calculate Pokedex entry using custom entries first, then fallback logic
    */
@@ -545,10 +2487,17 @@ class FusionService {
     headPokemon,
     fusionName,
     headIndex,
-    bodyIndex
+    bodyIndex,
+    random = Math.random,
+    selection = null
   ) {
     // First try to get a custom Pokedex entry
-    const customEntry = this.getCustomPokedexEntry(headIndex, bodyIndex);
+    const customEntry = this.getCustomPokedexEntry(
+      headIndex,
+      bodyIndex,
+      random,
+      selection
+    );
 
     if (customEntry) {
       // Replace POKENAME placeholder with the actual fusion name
@@ -556,10 +2505,18 @@ class FusionService {
       return {
         entry: processedEntry,
         author: customEntry.author,
+        index: customEntry.index,
       };
     }
 
     // Fall back to auto-generated entry
+    return this.generateDexEntry(bodyPokemon, headPokemon, fusionName);
+  }
+
+  /**
+   * Generate a Pokedex entry by splicing the entries of two Pokemon
+   */
+  static generateDexEntry(bodyPokemon, headPokemon, fusionName) {
     const bodyEntry = (bodyPokemon.pokedexEntry || '').replace(
       new RegExp(bodyPokemon.fullName, 'g'),
       fusionName
@@ -574,6 +2531,7 @@ class FusionService {
     return {
       entry: generatedEntry,
       author: 'Auto-spliced Pokédex Entry',
+      index: null,
     };
   }
 
@@ -1,4 +1,6 @@
 const logger = require('../utils/logger');
+const config = require('../config');
+const PokemonService = require('./pokemon.service');
 const path = require('path');
 const fs = require('fs').promises;
 const fsSync = require('fs');
@@ -8,7 +10,12 @@ const fsSync = require('fs');
  */
 class ImageService {
   static customSprites = new Set();
+  static customVariants = new Map(); // Maps "head.body" to sorted variant letters
   static autogenSprites = new Map(); // Maps headId to Set of available bodyIds
+  static tripleSprites = new Set(); // Triple fusion IDs with a sprite
+  static baseSprites = new Set(); // Pokemon IDs with a base battler sprite
+  static spriteCredits = new Map(); // Maps sprite ID ("150.25a") to artist names
+  static artistSprites = new Map(); // Maps lowercased artist name to { artist, sprites }
   static isInitialized = false;
 
   // File paths
@@ -22,6 +29,21 @@ class ImageService {
     '../data/infinite-fusion-graphics/autogen'
   );
 
+  static BASE_DIR = path.join(
+    __dirname,
+    '../data/infinite-fusion-graphics/base'
+  );
+
+  static TRIPLES_DIR = path.join(
+    __dirname,
+    '../data/infinite-fusion-graphics/triples'
+  );
+
+  static CREDITS_PATH = path.join(
+    __dirname,
+    '../data/infinite-fusion-graphics/sprite_credits.csv'
+  );
+
   static NULL_SPRITE = '/assets/sprites/null.png';
 
   /**
@@ -44,6 +66,15 @@ class ImageService {
       // Initialize autogen sprites index
       await this._indexAutogenSprites();
 
+      // Initialize triple fusion sprites index
+      await this._indexTripleSprites();
+
+      // Initialize base battler sprites index
+      await this._indexBaseSprites();
+
+      // Load sprite artist credits
+      await this._loadCredits();
+
       this.isInitialized = true;
       const duration = Date.now() - startTime;
       logger.info('IMAGE_SERVICE', `Initialized successfully in ${duration}ms`);
@@ -51,10 +82,26 @@ class ImageService {
         'IMAGE_SERVICE',
         `Indexed ${this.customSprites.size} custom sprites`
       );
+      logger.info(
+        'IMAGE_SERVICE',
+        `Indexed variant sprites for ${this.customVariants.size} fusions`
+      );
       logger.info(
         'IMAGE_SERVICE',
         `Indexed ${this.autogenSprites.size} autogen directories`
       );
+      logger.info(
+        'IMAGE_SERVICE',
+        `Indexed ${this.tripleSprites.size} triple fusion sprites`
+      );
+      logger.info(
+        'IMAGE_SERVICE',
+        `Indexed ${this.baseSprites.size} base sprites`
+      );
+      logger.info(
+        'IMAGE_SERVICE',
+        `Loaded credits for ${this.spriteCredits.size} sprites by ${this.artistSprites.size} artists`
+      );
     } catch (error) {
       logger.error('Failed to initialize image service:', error);
       throw error;
@@ -70,11 +117,24 @@ class ImageService {
       const files = await fs.readdir(this.CUSTOM_DIR);
 
       for (const file of files) {
-        if (file.endsWith('.png') && /^\d+\.\d+\.png$/.test(file)) {
-          // Remove .png extension and store filename
-          const spriteKey = file.slice(0, -4);
+        // Match base sprites ("150.25.png") and variants ("150.25a.png")
+        const match = file.match(/^(\d+\.\d+)([a-z])?\.png$/);
+        if (!match) continue;
+
+        const [, spriteKey, variant] = match;
+        if (!variant) {
           this.customSprites.add(spriteKey);
+          continue;
         }
+
+        if (!this.customVariants.has(spriteKey)) {
+          this.customVariants.set(spriteKey, []);
+        }
+        this.customVariants.get(spriteKey).push(variant);
+      }
+
+      for (const variants of this.customVariants.values()) {
+        variants.sort();
       }
     } catch (error) {
       if (error.code === 'ENOENT') {
@@ -127,6 +187,127 @@ class ImageService {
     }
   }
 
+  /**
+   * Index all triple fusion sprite files (e.g. "zapmolcuno.png")
+   * @private
+   */
+  static async _indexTripleSprites () {
+    try {
+      const files = await fs.readdir(this.TRIPLES_DIR);
+
+      for (const file of files) {
+        if (/^[a-z]+\.png$/.test(file)) {
+          this.tripleSprites.add(file.slice(0, -4));
+        }
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.warn(`Triple sprites directory not found: ${this.TRIPLES_DIR}`);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Index all base battler sprite files (e.g. "25.png")
+   * @private
+   */
+  static async _indexBaseSprites () {
+    try {
+      const files = await fs.readdir(this.BASE_DIR);
+
+      for (const file of files) {
+        const match = file.match(/^(\d+)\.png$/);
+        if (match) {
+          this.baseSprites.add(parseInt(match[1], 10));
+        }
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.warn(`Base sprites directory not found: ${this.BASE_DIR}`);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Load sprite credits from the game's credits CSV
+   * Rows are "spriteId,artist[,type,comment]"; collaborators are joined with " & ".
+   * @private
+   */
+  static async _loadCredits () {
+    let csv;
+    try {
+      csv = await fs.readFile(this.CREDITS_PATH, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.warn(`Sprite credits file not found: ${this.CREDITS_PATH}`);
+        return;
+      }
+      throw error;
+    }
+
+    for (const line of csv.split(/\r?\n/)) {
+      const [spriteId, artistField] = this._parseCsvLine(line);
+      const match = (spriteId || '').match(/^(\d+\.\d+[a-z]?)(?:\.png)?$/i);
+      if (!match || !artistField) continue;
+
+      const spriteKey = match[1].toLowerCase();
+      const artists = artistField
+        .split(' & ')
+        .map(artist => artist.trim())
+        .filter(Boolean);
+      if (artists.length === 0) continue;
+
+      this.spriteCredits.set(spriteKey, artists);
+
+      for (const artist of artists) {
+        const artistKey = artist.toLowerCase();
+        if (!this.artistSprites.has(artistKey)) {
+          this.artistSprites.set(artistKey, { artist, sprites: [] });
+        }
+        this.artistSprites.get(artistKey).sprites.push(spriteKey);
+      }
+    }
+  }
+
+  /**
+   * Split a CSV line into fields, honouring double-quoted fields
+   * @private
+   */
+  static _parseCsvLine (line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        fields.push(field);
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    fields.push(field);
+    return fields.map(value => value.trim());
+  }
+
   /**
    * Refresh file indexes (call this periodically or when files change)
    * NOT CURRENTLY IMPLEMENTED -
@@ -134,7 +315,12 @@ class ImageService {
   static async refreshIndexes () {
     logger.info('IMAGE_SERVICE', 'Refreshing file indexes...');
     this.customSprites.clear();
+    this.customVariants.clear();
     this.autogenSprites.clear();
+    this.tripleSprites.clear();
+    this.baseSprites.clear();
+    this.spriteCredits.clear();
+    this.artistSprites.clear();
     this.isInitialized = false;
     await this.initialize();
   }
@@ -166,6 +352,223 @@ class ImageService {
     };
   }
 
+  /**
+   * Validate a Pokemon ID parameter
+   * @param {string|number} id - Pokemon ID
+   * @returns {Object} Validation result with parsed number or error
+   */
+  static validatePokemonParam (id) {
+    const idNum = parseInt(id, 10);
+
+    if (!idNum || idNum < 1) {
+      return {
+        valid: false,
+        error: {
+          message: 'id must be a positive number',
+          provided: { id }
+        }
+      };
+    }
+
+    return {
+      valid: true,
+      id: idNum
+    };
+  }
+
+  /**
+   * Validate a sprite variant letter (e.g. "a" in "150.25a.png")
+   * @param {string} variant - Variant letter
+   * @returns {Object} Validation result with the normalized variant or error
+   */
+  static validateVariant (variant) {
+    if (!/^[a-z]$/i.test(variant)) {
+      return {
+        valid: false,
+        error: {
+          message: 'variant must be a single letter',
+          provided: { variant }
+        }
+      };
+    }
+
+    return {
+      valid: true,
+      variant: variant.toLowerCase()
+    };
+  }
+
+  /**
+   * Get the alternate custom sprite variants of a fusion
+   * @param {number} headId - Head Pokemon ID
+   * @param {number} bodyId - Body Pokemon ID
+   * @returns {string[]} Sorted variant letters (empty when there are none)
+   */
+  static getSpriteVariants (headId, bodyId) {
+    return this.customVariants.get(`${headId}.${bodyId}`) || [];
+  }
+
+  /**
+   * Generate a variant fusion image path
+   * @param {number} headId - Head Pokemon ID
+   * @param {number} bodyId - Body Pokemon ID
+   * @param {string} variant - Variant letter
+   * @returns {Object|null} Result with imageUrl and attribution, or null if the variant doesn't exist
+   */
+  static generateVariantImagePath (headId, bodyId, variant) {
+    if (!this.getSpriteVariants(headId, bodyId).includes(variant)) {
+      return null;
+    }
+
+    return {
+      imageUrl: `/data/infinite-fusion-graphics/custom/${headId}.${bodyId}${variant}.png`,
+      attribution: this._getCustomAttribution(headId, bodyId, variant)
+    };
+  }
+
+  /**
+   * Get the credited artists of a custom sprite
+   * @param {number} headId - Head Pokemon ID
+   * @param {number} bodyId - Body Pokemon ID
+   * @param {string} variant - Optional variant letter
+   * @returns {string[]} Artist names (empty when uncredited)
+   */
+  static getSpriteArtists (headId, bodyId, variant = '') {
+    return this.spriteCredits.get(`${headId}.${bodyId}${variant}`) || [];
+  }
+
+  /**
+   * Get the attribution of a custom sprite: its artists, or 'custom' when uncredited
+   * @private
+   */
+  static _getCustomAttribution (headId, bodyId, variant = '') {
+    const artists = this.getSpriteArtists(headId, bodyId, variant);
+    return artists.length > 0 ? artists.join(' & ') : 'custom';
+  }
+
+  /**
+   * Get every sprite credited to an artist (case-insensitive)
+   * @param {string} artist - Artist name
+   * @returns {Object|null} { artist, sprites } with sprite IDs, or null if unknown
+   */
+  static getArtistSprites (artist) {
+    return this.artistSprites.get(artist.trim().toLowerCase()) || null;
+  }
+
+  /**
+   * Largest number of sprites in a grid: bounded so that a maximum grid's rate
+   * limit weight always fits in one client's request budget
+   */
+  static getMaxGridCells () {
+    return Math.min(
+      config.images.gridMaxHeads * config.images.gridMaxBodies,
+      config.rateLimit.maxRequests * config.images.gridCellsPerRequest
+    );
+  }
+
+  /**
+   * Validate sprite grid parameters (comma-separated head and body IDs)
+   * @param {Object} query - Request query parameters with heads and bodies
+   * @returns {Object} Validation result with head and body ID arrays or error
+   */
+  static validateGridParams (query = {}) {
+    const { heads, bodies } = query;
+    const invalid = message => ({
+      valid: false,
+      error: { message, provided: { heads, bodies } }
+    });
+
+    const limits = {
+      heads: config.images.gridMaxHeads,
+      bodies: config.images.gridMaxBodies
+    };
+    const ids = {};
+
+    for (const [param, value] of Object.entries({ heads, bodies })) {
+      if (typeof value !== 'string' || !/^\d+(,\d+)*$/.test(value)) {
+        return invalid(
+          `${param} must be a comma-separated list of Pokemon IDs (e.g. ${param}=1,4,7)`
+        );
+      }
+
+      ids[param] = value.split(',').map(id => parseInt(id, 10));
+      if (ids[param].length > limits[param]) {
+        return invalid(`${param} accepts at most ${limits[param]} IDs`);
+      }
+
+      const unknownId = ids[param].find(
+        id => !PokemonService.getPokemonById(id)
+      );
+      if (unknownId !== undefined) {
+        return invalid(`Unknown Pokemon ID in ${param}: ${unknownId}`);
+      }
+    }
+
+    const cells = ids.heads.length * ids.bodies.length;
+    const maxCells = this.getMaxGridCells();
+    if (cells > maxCells) {
+      return invalid(
+        `Grid has ${cells} sprites but at most ${maxCells} are allowed`
+      );
+    }
+
+    return {
+      valid: true,
+      heads: ids.heads,
+      bodies: ids.bodies
+    };
+  }
+
+  /**
+   * Get which sprite source a fusion resolves to
+   * @param {number} headId - Head Pokemon ID
+   * @param {number} bodyId - Body Pokemon ID
+   * @returns {string|null} 'custom', 'autogen' or null when only the null sprite exists
+   */
+  static getSpriteSource (headId, bodyId) {
+    if (this.customSprites.has(`${headId}.${bodyId}`)) return 'custom';
+
+    const headSprites = this.autogenSprites.get(headId);
+    if (headSprites && headSprites.has(bodyId)) return 'autogen';
+
+    return null;
+  }
+
+  /**
+   * List every head/body pair whose sprite resolves to a source
+   * @param {string} source - 'custom' or 'autogen'
+   * @returns {Array} [headId, bodyId] pairs
+   */
+  static getSpritePairs (source) {
+    const pairs = [];
+
+    if (source === 'custom') {
+      for (const spriteKey of this.customSprites) {
+        pairs.push(spriteKey.split('.').map(Number));
+      }
+    } else if (source === 'autogen') {
+      for (const [headId, bodyIds] of this.autogenSprites) {
+        for (const bodyId of bodyIds) {
+          // Custom sprites take precedence over autogen ones
+          if (!this.customSprites.has(`${headId}.${bodyId}`)) {
+            pairs.push([headId, bodyId]);
+          }
+        }
+      }
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Get which sprite source a triple fusion resolves to
+   * @param {string} tripleId - Triple fusion ID (e.g. "zapmolcuno")
+   * @returns {string|null} 'custom' or null when only the null sprite exists
+   */
+  static getTripleSpriteSource (tripleId) {
+    return this.tripleSprites.has(tripleId) ? 'custom' : null;
+  }
+
   /**
    * Generate fusion image paths with custom/fallback logic
    * @param {number} headId - Head Pokemon ID
@@ -187,7 +590,7 @@ class ImageService {
     if (this.customSprites.has(spriteKey)) {
       return {
         imageUrl: `/data/infinite-fusion-graphics/custom/${headId}.${bodyId}.png`,
-        attribution: 'custom' // TODO: Attribution unknown for custom sprites - database not implemented
+        attribution: this._getCustomAttribution(headId, bodyId)
       };
     }
 
@@ -207,6 +610,44 @@ class ImageService {
     };
   }
 
+  /**
+   * Generate base battler image path with null sprite fallback
+   * @param {number} id - Pokemon ID
+   * @returns {Object} Result with imageUrl and attribution
+   */
+  static generateBaseImagePath (id) {
+    if (this.baseSprites.has(id)) {
+      return {
+        imageUrl: `/data/infinite-fusion-graphics/base/${id}.png`,
+        attribution: 'base'
+      };
+    }
+
+    return {
+      imageUrl: this.NULL_SPRITE,
+      attribution: 'Missing sprite.'
+    };
+  }
+
+  /**
+   * Generate triple fusion image path with null sprite fallback
+   * @param {string} tripleId - Triple fusion ID (e.g. "zapmolcuno")
+   * @returns {Object} Result with imageUrl and attribution
+   */
+  static generateTripleImagePath (tripleId) {
+    if (this.tripleSprites.has(tripleId)) {
+      return {
+        imageUrl: `/data/infinite-fusion-graphics/triples/${tripleId}.png`,
+        attribution: 'custom'
+      };
+    }
+
+    return {
+      imageUrl: this.NULL_SPRITE,
+      attribution: 'Missing sprite.'
+    };
+  }
+
   /**
    * Validate type name and check if file exists
    * @param {string} typeName - Pokemon type name
@@ -2,6 +2,10 @@ const logger = require('../utils/logger');
 const fs = require('fs').promises;
 const path = require('path');
 const GameData = require('../data/GameData');
+const TypeChart = require('../data/TypeChart');
+const { parseIntegerParam, parsePagination } = require('../utils/query');
+const { editDistance } = require('../utils/text');
+const config = require('../config');
 
 /**
  * Pokemon service for handling Pokemon-related business logic
@@ -12,14 +16,71 @@ class PokemonService {
   static pokemonNames = []; // array of all names
   static pokemonTypes = new Map(); // id -> types array
   static splitNames = new Map(); // id -> split name array
+  static nameKeys = new Map(); // normalized name or alias -> correctly cased name
+  static pokemonAbilities = new Map(); // id -> { abilities, hiddenAbilities }
+  static pokemonLearnsets = new Map(); // id -> { levelUp, tm, tutor, egg }
+  static moveData = new Map(); // normalized move key -> move object
+  static pokemonEvolutions = new Map(); // id -> [{ species, method, parameter }]
+  static pokemonPreEvolutions = new Map(); // id -> [{ species, method, parameter }]
   static isInitialized = false;
 
-  // File path
+  // File paths
   static FUSIONDEX_DATA_PATH = path.join(
     __dirname,
     '../data/infinite-fusion-graphics/fusiondex_data.json'
   );
 
+  static ABILITIES_DATA_PATH = path.join(
+    __dirname,
+    '../data/infinite-fusion-graphics/abilities_data.json'
+  );
+
+  static MOVES_DATA_PATH = path.join(
+    __dirname,
+    '../data/infinite-fusion-graphics/moves_data.json'
+  );
+
+  static LEARNSETS_DATA_PATH = path.join(
+    __dirname,
+    '../data/infinite-fusion-graphics/learnsets_data.json'
+  );
+
+  static EVOLUTIONS_DATA_PATH = path.join(
+    __dirname,
+    '../data/infinite-fusion-graphics/evolutions_data.json'
+  );
+
+  // Record field of each base stat, in the stat order used by fusion payloads
+  static STAT_FIELDS = {
+    HP: 'hp',
+    ATTACK: 'attack',
+    DEFENSE: 'defense',
+    SPECIAL_ATTACK: 'specialAttack',
+    SPECIAL_DEFENSE: 'specialDefense',
+    SPEED: 'speed'
+  };
+
+  static MAX_SUGGESTIONS = 5;
+
+  // Non-stat sort orders supported by the Pokemon list
+  static LIST_SORTS = ['id', 'name'];
+
+  // Fields of a Pokemon's complete base entry, selectable with ?fields=
+  static DETAIL_FIELDS = [
+    'id',
+    'nationalDexNumber',
+    'name',
+    'types',
+    'stats',
+    'category',
+    'height',
+    'weight',
+    'pokedexEntry',
+    'nameParts',
+    'generation',
+    'imageUrl'
+  ];
+
   /**
    * Initialize Pokemon data cache on application startup
    * Should be called once during app initialization
@@ -68,6 +129,79 @@ class PokemonService {
       // Sort names for consistency
       this.pokemonNames.sort();
 
+      // Index normalized names and aliases for lenient lookups
+      for (const fullName of this.pokemonNames) {
+        this.nameKeys.set(this.normalizeNameKey(fullName), fullName);
+      }
+      for (const [alias, fullName] of Object.entries(GameData.NAME_ALIASES)) {
+        if (this.pokemonData.has(fullName.toLowerCase())) {
+          this.nameKeys.set(alias, fullName);
+        }
+      }
+
+      // Load ability data (keyed by Pokemon ID)
+      const abilityData = await this._loadOptionalData(
+        this.ABILITIES_DATA_PATH
+      );
+      for (const [id, data] of Object.entries(abilityData)) {
+        this.pokemonAbilities.set(parseInt(id, 10), {
+          abilities: data.abilities || [],
+          hiddenAbilities: data.hiddenAbilities || []
+        });
+      }
+
+      // Load move data (keyed by internal move ID, e.g. "THUNDERBOLT")
+      const moveData = await this._loadOptionalData(this.MOVES_DATA_PATH);
+      const moveCount = Object.keys(moveData).length;
+      for (const [moveId, data] of Object.entries(moveData)) {
+        const move = { id: moveId, ...data };
+        this.moveData.set(this.normalizeMoveKey(moveId), move);
+
+        // Also index by display name when it differs from the ID (e.g. "Vise Grip")
+        if (data.name) {
+          this.moveData.set(this.normalizeMoveKey(data.name), move);
+        }
+      }
+
+      // Load learnsets (keyed by Pokemon ID)
+      const learnsetData = await this._loadOptionalData(
+        this.LEARNSETS_DATA_PATH
+      );
+      for (const [id, data] of Object.entries(learnsetData)) {
+        this.pokemonLearnsets.set(parseInt(id, 10), {
+          levelUp: data.levelUp || [],
+          tm: data.tm || [],
+          tutor: data.tutor || [],
+          egg: data.egg || []
+        });
+      }
+
+      // Load evolutions (keyed by Pokemon ID) and index them in both directions
+      const evolutionData = await this._loadOptionalData(
+        this.EVOLUTIONS_DATA_PATH
+      );
+      for (const [id, evolutions] of Object.entries(evolutionData)) {
+        const pokemonId = parseInt(id, 10);
+
+        for (const { species, method, parameter = null } of evolutions) {
+          const evolvedId = parseInt(species, 10);
+
+          if (!this.pokemonEvolutions.has(pokemonId)) {
+            this.pokemonEvolutions.set(pokemonId, []);
+          }
+          this.pokemonEvolutions
+            .get(pokemonId)
+            .push({ species: evolvedId, method, parameter });
+
+          if (!this.pokemonPreEvolutions.has(evolvedId)) {
+            this.pokemonPreEvolutions.set(evolvedId, []);
+          }
+          this.pokemonPreEvolutions
+            .get(evolvedId)
+            .push({ species: pokemonId, method, parameter });
+        }
+      }
+
       this.isInitialized = true;
       const duration = Date.now() - startTime;
       logger.info(
@@ -78,12 +212,41 @@ class PokemonService {
         'POKEMON_SERVICE',
         `Loaded ${this.pokemonData.size} Pokemon entries`
       );
+      logger.info(
+        'POKEMON_SERVICE',
+        `Loaded abilities for ${this.pokemonAbilities.size} Pokemon`
+      );
+      logger.info(
+        'POKEMON_SERVICE',
+        `Loaded ${moveCount} moves and learnsets for ${this.pokemonLearnsets.size} Pokemon`
+      );
+      logger.info(
+        'POKEMON_SERVICE',
+        `Loaded evolutions for ${this.pokemonEvolutions.size} Pokemon`
+      );
     } catch (error) {
       logger.error('Failed to initialize Pokemon service:', error);
       throw error;
     }
   }
 
+  /**
+   * Load a supplementary JSON data file, returning an empty object if it is missing
+   * @private
+   */
+  static async _loadOptionalData (filePath) {
+    try {
+      const jsonData = await fs.readFile(filePath, 'utf8');
+      return JSON.parse(jsonData);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.warn('POKEMON_SERVICE', `Data file not found: ${filePath}`);
+        return {};
+      }
+      throw error;
+    }
+  }
+
   /**
    * Refresh Pokemon data cache (call this when data changes)
    */
@@ -94,6 +257,12 @@ class PokemonService {
     this.pokemonNames.length = 0;
     this.pokemonTypes.clear();
     this.splitNames.clear();
+    this.nameKeys.clear();
+    this.pokemonAbilities.clear();
+    this.pokemonLearnsets.clear();
+    this.moveData.clear();
+    this.pokemonEvolutions.clear();
+    this.pokemonPreEvolutions.clear();
     this.isInitialized = false;
     await this.initialize();
   }
@@ -109,23 +278,51 @@ class PokemonService {
 
   /**
    * Get a random Pokemon name
+   * @param {Function} random - Random number source (defaults to Math.random)
    */
-  static getRandomPokemonName () {
+  static getRandomPokemonName (random = Math.random) {
     if (!this.isInitialized || this.pokemonNames.length === 0) return null;
-    return this.pokemonNames[
-      Math.floor(Math.random() * this.pokemonNames.length)
-    ];
+    return this.pokemonNames[Math.floor(random() * this.pokemonNames.length)];
   }
 
   /**
    * Normalize Pokemon name (find correct casing)
+   * Falls back to a lenient match ignoring punctuation, spacing, accents and
+   * gender symbols (e.g. "Mr Mime", "farfetchd", "nidoran-f"), then aliases.
    */
   static normalizePokemonName (name) {
     if (!name || typeof name !== 'string') return null;
     if (!this.isInitialized) return null;
 
     const pokemonData = this.pokemonData.get(name.toLowerCase());
-    return pokemonData ? pokemonData.fullName : null;
+    if (pokemonData) return pokemonData.fullName;
+
+    return this.nameKeys.get(this.normalizeNameKey(name)) || null;
+  }
+
+  /**
+   * Reduce a Pokemon name to lowercase letters and digits for lenient matching
+   * (accents are stripped and ♀/♂ become f/m, e.g. "Nidoran♀" -> "nidoranf")
+   */
+  static normalizeNameKey (name) {
+    return name
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/♀/g, 'f')
+      .replace(/♂/g, 'm')
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Resolve a Pokemon name or ID to its correctly cased name
+   */
+  static resolvePokemonName (nameOrId) {
+    if (typeof nameOrId === 'number' || /^\d+$/.test(nameOrId)) {
+      const pokemonData = this.getPokemonById(nameOrId);
+      return pokemonData ? pokemonData.fullName : null;
+    }
+    return this.normalizePokemonName(nameOrId);
   }
 
   /**
@@ -147,6 +344,14 @@ class PokemonService {
     return [...this.pokemonNames]; // Return copy to prevent modification
   }
 
+  /**
+   * Get all Pokemon IDs in ascending order
+   */
+  static getAllPokemonIds () {
+    if (!this.isInitialized) return [];
+    return [...this.pokemonById.keys()].sort((a, b) => a - b);
+  }
+
   /**
    * Get Pokemon types by ID
    */
@@ -180,6 +385,301 @@ class PokemonService {
     return this.pokemonById.get(pokemonId) || null;
   }
 
+  /**
+   * Get the national dex number of a Pokemon ID using NAT_DEX_MAPPING
+   */
+  static getNationalDexNumber (pokemonId) {
+    return GameData.NAT_DEX_MAPPING[pokemonId] || pokemonId;
+  }
+
+  /**
+   * Get the generation a Pokemon was introduced in from its national dex number
+   */
+  static getPokemonGeneration (pokemonId) {
+    const dexNumber = this.getNationalDexNumber(pokemonId);
+    const index = GameData.GENERATION_DEX_LIMITS.findIndex(
+      lastDex => dexNumber <= lastDex
+    );
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Check if a Pokemon is legendary or mythical
+   */
+  static isLegendary (pokemonId) {
+    return GameData.LEGENDARY_DEX_NUMBERS.includes(
+      this.getNationalDexNumber(pokemonId)
+    );
+  }
+
+  /**
+   * Get the base stats of a Pokemon with their total
+   */
+  static getPokemonStats (pokemonId) {
+    const pokemonData = this.getPokemonById(pokemonId);
+    if (!pokemonData) return null;
+
+    const stats = {};
+    for (const [stat, field] of Object.entries(this.STAT_FIELDS)) {
+      stats[stat] = pokemonData[field] || 0;
+    }
+    stats.TOTAL = Object.values(stats).reduce((sum, value) => sum + value, 0);
+    return stats;
+  }
+
+  /**
+   * Get the complete base entry of a Pokemon
+   */
+  static getPokemonDetails (pokemonId) {
+    const pokemonData = this.getPokemonById(pokemonId);
+    if (!pokemonData) return null;
+
+    const id = parseInt(pokemonData.id, 10);
+    const [prefix, suffix] = this.getPokemonSplitNames(id);
+
+    return {
+      id,
+      nationalDexNumber: this.getNationalDexNumber(id),
+      name: pokemonData.fullName,
+      types: pokemonData.types || [],
+      stats: this.getPokemonStats(id),
+      category: pokemonData.category || null,
+      height: pokemonData.height || null,
+      weight: pokemonData.weight || null,
+      pokedexEntry: pokemonData.pokedexEntry || null,
+      nameParts: { prefix, suffix },
+      generation: this.getPokemonGeneration(id),
+      imageUrl: `${config.server.url}/api/images/pokemon/${id}`
+    };
+  }
+
+  /**
+   * Get the query parameter suffix of a stat (e.g. SPECIAL_ATTACK -> "SpecialAttack")
+   */
+  static getStatParamName (stat) {
+    return stat
+      .toLowerCase()
+      .split('_')
+      .map(word => word[0].toUpperCase() + word.slice(1))
+      .join('');
+  }
+
+  /**
+   * Validate Pokemon list query parameters (filters, sort, fields and pagination)
+   */
+  static validateListOptions (query = {}) {
+    const { type, generation, prefix, sort = 'name', order, fields } = query;
+    // Only the rejected parameter is echoed back
+    const invalid = (message, provided) => ({
+      valid: false,
+      error: { message, provided }
+    });
+
+    const parsedType = typeof type === 'string' ? type.toUpperCase() : type;
+    if (parsedType !== undefined && !TypeChart.TYPES.includes(parsedType)) {
+      return invalid(`Unknown type: ${type}`, { type });
+    }
+
+    const parsedGeneration = parseIntegerParam(generation, {
+      min: 1,
+      max: GameData.GENERATION_DEX_LIMITS.length,
+      defaultValue: null
+    });
+    if (generation !== undefined && parsedGeneration === null) {
+      return invalid(
+        `generation must be an integer between 1 and ${GameData.GENERATION_DEX_LIMITS.length}`,
+        { generation }
+      );
+    }
+
+    if (prefix !== undefined && typeof prefix !== 'string') {
+      return invalid('prefix must be a single value', { prefix });
+    }
+
+    // Stat ranges, e.g. minSpeed=100&maxTotal=500
+    const statRanges = [];
+    for (const stat of [...Object.keys(this.STAT_FIELDS), 'TOTAL']) {
+      const paramName = this.getStatParamName(stat);
+      const range = {};
+
+      for (const bound of ['min', 'max']) {
+        const param = `${bound}${paramName}`;
+        const value = query[param];
+        range[bound] = parseIntegerParam(value, {
+          min: 0,
+          max: Number.MAX_SAFE_INTEGER,
+          defaultValue: null
+        });
+        if (value !== undefined && range[bound] === null) {
+          return invalid(`${param} must be a non-negative integer`, {
+            [param]: value
+          });
+        }
+      }
+
+      if (range.min !== null || range.max !== null) {
+        statRanges.push({ stat, ...range });
+      }
+    }
+
+    const statSorts = [...Object.keys(this.STAT_FIELDS), 'TOTAL'];
+    // Sort keys are case-insensitive: stats are upper-case, name/id lower-case
+    const statSort = typeof sort === 'string' ? sort.toUpperCase() : sort;
+    const listSort = typeof sort === 'string' ? sort.toLowerCase() : sort;
+    const isStatSort = statSorts.includes(statSort);
+    if (!isStatSort && !this.LIST_SORTS.includes(listSort)) {
+      return invalid(
+        `sort must be one of: ${[...this.LIST_SORTS, ...statSorts].join(', ')}`,
+        { sort }
+      );
+    }
+    if (order !== undefined && !['asc', 'desc'].includes(order)) {
+      return invalid('order must be one of: asc, desc', { order });
+    }
+
+    // fields=all includes every detail field; otherwise a comma-separated subset
+    const detailFields = this.DETAIL_FIELDS;
+    let parsedFields = null;
+    if (fields !== undefined) {
+      if (typeof fields !== 'string' || fields.trim() === '') {
+        return invalid(
+          'fields must be "all" or a comma-separated list of fields',
+          { fields }
+        );
+      }
+      parsedFields =
+        fields === 'all'
+          ? detailFields
+          : fields.split(',').map(field => field.trim());
+      const unknownField = parsedFields.find(
+        field => !detailFields.includes(field)
+      );
+      if (unknownField !== undefined) {
+        return invalid(
+          `Unknown field: ${unknownField} (available: ${detailFields.join(', ')})`,
+          { fields }
+        );
+      }
+    }
+
+    // Without a limit the whole list is returned, as before pagination existed
+    const pagination = parsePagination(query, {
+      defaultLimit: this.pokemonById.size,
+      maxLimit: this.pokemonById.size
+    });
+    if (pagination.error) {
+      return invalid(pagination.error, {
+        limit: query.limit,
+        offset: query.offset
+      });
+    }
+
+    return {
+      valid: true,
+      options: {
+        type: parsedType || null,
+        generation: parsedGeneration,
+        prefix: prefix ? prefix.trim().toLowerCase() : null,
+        statRanges,
+        sort: isStatSort ? statSort : listSort,
+        order: order || (isStatSort ? 'desc' : 'asc'),
+        fields: parsedFields,
+        ...pagination
+      }
+    };
+  }
+
+  /**
+   * Filter, sort and paginate the Pokemon list
+   * @returns {Object} { total, limit, offset, pokemon } with names, or records when fields are requested
+   */
+  static queryPokemon (options) {
+    const { type, generation, prefix, statRanges, sort, order } = options;
+    const { fields, limit, offset } = options;
+
+    const matches = this.getAllPokemonIds()
+      .filter(id => {
+        const pokemonData = this.getPokemonById(id);
+        if (type && !(pokemonData.types || []).includes(type)) return false;
+        if (generation && this.getPokemonGeneration(id) !== generation) {
+          return false;
+        }
+        if (prefix && !pokemonData.fullName.toLowerCase().startsWith(prefix)) {
+          return false;
+        }
+
+        const stats = this.getPokemonStats(id);
+        return statRanges.every(
+          ({ stat, min, max }) =>
+            (min === null || stats[stat] >= min) &&
+            (max === null || stats[stat] <= max)
+        );
+      })
+      .map(id => ({
+        id,
+        name: this.getPokemonById(id).fullName,
+        stats: this.getPokemonStats(id)
+      }));
+
+    // Ties keep ID order so pages are stable
+    const direction = order === 'desc' ? -1 : 1;
+    matches.sort((a, b) => {
+      let comparison;
+      if (sort === 'id') comparison = a.id - b.id;
+      else if (sort === 'name') comparison = a.name < b.name ? -1 : 1;
+      else comparison = a.stats[sort] - b.stats[sort];
+      return comparison * direction || a.id - b.id;
+    });
+
+    const page = matches.slice(offset, offset + limit);
+
+    return {
+      total: matches.length,
+      limit,
+      offset,
+      pokemon: fields
+        ? page.map(({ id, name }) => {
+          const details = this.getPokemonDetails(id);
+          const record = { id, name };
+          for (const field of fields) record[field] = details[field];
+          return record;
+        })
+        : page.map(({ name }) => name)
+    };
+  }
+
+  /**
+   * Suggest Pokemon names for an unknown name, closest first
+   * Names within a few edits of the normalized input (about one per three
+   * characters) or starting with it are suggested.
+   */
+  static suggestPokemonNames (name) {
+    if (!name || typeof name !== 'string' || !this.isInitialized) return [];
+
+    const query = this.normalizeNameKey(name);
+    if (!query || /^\d+$/.test(query)) return [];
+
+    const maxDistance = Math.max(1, Math.floor(query.length / 3));
+    const closest = new Map(); // name -> smallest distance over its keys
+
+    for (const [key, fullName] of this.nameKeys) {
+      const distance = key.startsWith(query)
+        ? 0
+        : editDistance(query, key);
+      if (
+        distance <= maxDistance &&
+        distance < (closest.get(fullName) ?? Infinity)
+      ) {
+        closest.set(fullName, distance);
+      }
+    }
+
+    return [...closest]
+      .sort(([a, da], [b, db]) => da - db || (a < b ? -1 : 1))
+      .slice(0, this.MAX_SUGGESTIONS)
+      .map(([fullName]) => fullName);
+  }
+
   /**
    * Get Pokemon split names for fusion logic
    */
@@ -187,6 +687,61 @@ class PokemonService {
     if (!pokemonId || !this.isInitialized) return [];
     return this.splitNames.get(pokemonId) || [];
   }
+
+  /**
+   * Get Pokemon regular and hidden abilities by ID
+   */
+  static getPokemonAbilities (pokemonId) {
+    if (!pokemonId || !this.isInitialized) {
+      return { abilities: [], hiddenAbilities: [] };
+    }
+    return (
+      this.pokemonAbilities.get(pokemonId) || {
+        abilities: [],
+        hiddenAbilities: []
+      }
+    );
+  }
+
+  /**
+   * Get Pokemon learnset (level-up, TM, tutor and egg moves) by ID
+   */
+  static getPokemonLearnset (pokemonId) {
+    const emptyLearnset = { levelUp: [], tm: [], tutor: [], egg: [] };
+    if (!pokemonId || !this.isInitialized) return emptyLearnset;
+    return this.pokemonLearnsets.get(pokemonId) || emptyLearnset;
+  }
+
+  /**
+   * Get the Pokemon a Pokemon evolves into, with the evolution method
+   */
+  static getPokemonEvolutions (pokemonId) {
+    if (!pokemonId || !this.isInitialized) return [];
+    return this.pokemonEvolutions.get(pokemonId) || [];
+  }
+
+  /**
+   * Get the Pokemon a Pokemon evolves from, with the evolution method
+   */
+  static getPokemonPreEvolutions (pokemonId) {
+    if (!pokemonId || !this.isInitialized) return [];
+    return this.pokemonPreEvolutions.get(pokemonId) || [];
+  }
+
+  /**
+   * Normalize a move name or ID for lookup (e.g. "Thunder Bolt" -> "THUNDERBOLT")
+   */
+  static normalizeMoveKey (name) {
+    return name.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  /**
+   * Get move data by name or internal ID
+   */
+  static getMove (name) {
+    if (!name || typeof name !== 'string' || !this.isInitialized) return null;
+    return this.moveData.get(this.normalizeMoveKey(name)) || null;
+  }
 }
 
 module.exports = PokemonService;
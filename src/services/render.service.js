@@ -0,0 +1,196 @@
+const sharp = require('sharp');
+const fs = require('fs').promises;
+const config = require('../config');
+const { parseIntegerParam } = require('../utils/query');
+
+/**
+ * Render service for resizing and re-encoding images on the fly
+ */
+class RenderService {
+  static cache = new Map(); // cache key -> { buffer, contentType } (least recently used first)
+  static cacheBytes = 0;
+
+  // Output formats and their content types
+  static FORMATS = {
+    png: 'image/png',
+    webp: 'image/webp'
+  };
+
+  static MIN_SIZE = 8;
+
+  // Sprite grid layout (cell width and label strip height in pixels)
+  static GRID_CELL_SIZE = 96;
+  static GRID_LABEL_HEIGHT = 16;
+
+  /**
+   * Validate size/format query parameters
+   * @param {Object} query - Request query parameters
+   * @returns {Object} Validation result with { size, format } options or error
+   */
+  static validateRenderOptions (query = {}) {
+    const { size, format = 'png' } = query;
+
+    const parsedSize = parseIntegerParam(size, {
+      min: this.MIN_SIZE,
+      max: config.images.maxSize,
+      defaultValue: null
+    });
+    if (size !== undefined && parsedSize === null) {
+      return {
+        valid: false,
+        error: {
+          message: `size must be an integer between ${this.MIN_SIZE} and ${config.images.maxSize}`,
+          provided: { size }
+        }
+      };
+    }
+
+    const normalizedFormat = String(format).toLowerCase();
+    if (!this.FORMATS[normalizedFormat]) {
+      return {
+        valid: false,
+        error: {
+          message: `format must be one of: ${Object.keys(this.FORMATS).join(', ')}`,
+          provided: { format }
+        }
+      };
+    }
+
+    return {
+      valid: true,
+      options: { size: parsedSize, format: normalizedFormat }
+    };
+  }
+
+  /**
+   * Check whether the options leave the source PNG untouched
+   */
+  static isPassthrough (options) {
+    return !options.size && options.format === 'png';
+  }
+
+  /**
+   * Identify a rendered representation (empty for the untouched source PNG)
+   */
+  static getVariantKey (options) {
+    if (this.isPassthrough(options)) return '';
+    return `${options.size || 'full'}-${options.format}`;
+  }
+
+  /**
+   * Render an image file at the requested size and format
+   * Results are cached in memory, keyed by file version, up to the configured size.
+   * @param {string} filePath - Absolute path of the source PNG
+   * @param {Object} options - { size, format }
+   * @returns {Promise<Object>} { buffer, contentType }
+   */
+  static async render (filePath, options) {
+    const { mtimeMs } = await fs.stat(filePath);
+    const key = `${filePath}|${mtimeMs}|${this.getVariantKey(options)}`;
+
+    const cached = this.cache.get(key);
+    if (cached) {
+      // Move to the most recently used position
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      return cached;
+    }
+
+    let pipeline = sharp(filePath);
+    if (options.size) {
+      // Nearest-neighbour keeps pixel art crisp; the width sets the scale
+      pipeline = pipeline.resize({ width: options.size, kernel: 'nearest' });
+    }
+    pipeline =
+      options.format === 'webp'
+        ? pipeline.webp({ lossless: true })
+        : pipeline.png();
+
+    const rendered = {
+      buffer: await pipeline.toBuffer(),
+      contentType: this.FORMATS[options.format]
+    };
+    this._store(key, rendered);
+    return rendered;
+  }
+
+  /**
+   * Compose sprites into a single labelled PNG grid
+   * @param {Object[]} cells - Row-major { filePath, label } cells
+   * @param {number} columns - Number of cells per row
+   * @returns {Promise<Buffer>} PNG image
+   */
+  static async renderGrid (cells, columns) {
+    const cellSize = this.GRID_CELL_SIZE;
+    const cellHeight = cellSize + this.GRID_LABEL_HEIGHT;
+    const rows = Math.ceil(cells.length / columns);
+
+    // Render sequentially; resized sprites come from (and warm) the cache
+    const layers = [];
+    for (const [i, cell] of cells.entries()) {
+      const left = (i % columns) * cellSize;
+      const top = Math.floor(i / columns) * cellHeight;
+      const { buffer } = await this.render(cell.filePath, {
+        size: cellSize,
+        format: 'png'
+      });
+
+      layers.push(
+        { input: buffer, left, top },
+        {
+          input: Buffer.from(this._labelSvg(cell.label, cellSize)),
+          left,
+          top: top + cellSize
+        }
+      );
+    }
+
+    return sharp({
+      create: {
+        width: columns * cellSize,
+        height: rows * cellHeight,
+        channels: 4,
+        background: '#ffffff'
+      }
+    })
+      .composite(layers)
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Build an SVG label strip for a grid cell
+   * @private
+   */
+  static _labelSvg (label, width) {
+    const escaped = label.replace(
+      /[<>&"']/g,
+      char => `&#${char.charCodeAt(0)};`
+    );
+    const height = this.GRID_LABEL_HEIGHT;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+      <text x="${width / 2}" y="${height - 4}" font-family="sans-serif" font-size="11" text-anchor="middle" fill="#000000">${escaped}</text>
+    </svg>`;
+  }
+
+  /**
+   * Add a rendered image to the cache, evicting the least recently used entries
+   * @private
+   */
+  static _store (key, rendered) {
+    const { cacheMaxBytes } = config.images;
+    if (this.cache.has(key) || rendered.buffer.length > cacheMaxBytes) return;
+
+    this.cache.set(key, rendered);
+    this.cacheBytes += rendered.buffer.length;
+
+    for (const [oldestKey, oldest] of this.cache) {
+      if (this.cacheBytes <= cacheMaxBytes) break;
+      this.cache.delete(oldestKey);
+      this.cacheBytes -= oldest.buffer.length;
+    }
+  }
+}
+
+module.exports = RenderService;
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+/**
+ * HTTP caching helpers for validators (ETag/Last-Modified) and Cache-Control
+ */
+
+/**
+ * Build a strong ETag from a file's size and modification time
+ * @param {fs.Stats} stat - Stats of the source file
+ * @param {string} variant - Distinguishes representations rendered from the same file
+ */
+const fileEtag = (stat, variant = '') => {
+  const tag = `${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}`;
+  return `"${variant ? `${tag}-${variant}` : tag}"`;
+};
+
+/**
+ * Build an ETag by hashing the values a response is derived from
+ * @param {Array} values - Values that identify the response
+ * @param {Object} options - { weak } for responses that are only semantically equal
+ */
+const hashEtag = (values, { weak = false } = {}) => {
+  const hash = crypto
+    .createHash('sha1')
+    .update(values.join('\n'))
+    .digest('base64url')
+    .slice(0, 27);
+  return `${weak ? 'W/' : ''}"${hash}"`;
+};
+
+/**
+ * Build a public Cache-Control header value
+ * @param {number} maxAge - Lifetime in seconds
+ */
+const cacheControl = maxAge => `public, max-age=${maxAge}`;
+
+module.exports = {
+  fileEtag,
+  hashEtag,
+  cacheControl
+};
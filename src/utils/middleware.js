@@ -1,7 +1,28 @@
-const rateLimit = require('express-rate-limit');
+const {
+  rateLimit,
+  ipKeyGenerator,
+  MemoryStore
+} = require('express-rate-limit');
 const config = require('../config');
 const logger = require('./logger');
 
+// Shared store so weighted requests can charge extra hits to the same client
+const rateLimitStore = new MemoryStore();
+const rateLimitKey = req => ipKeyGenerator(req.ip);
+
+/**
+ * Respond to a client that exceeded the rate limit
+ */
+const rateLimitExceeded = (req, res) => {
+  logger.warn('API', `Rate limit exceeded for IP: ${req.ip}`);
+  res.status(429).json({
+    success: false,
+    error: 'Too many requests',
+    message: `Maximum ${config.rateLimit.maxRequests} requests per ${config.rateLimit.windowMs / 1000} seconds`,
+    retryAfter: Math.ceil(config.rateLimit.windowMs / 1000)
+  });
+};
+
 /**
  * Rate limiting middleware
  */
@@ -10,17 +31,47 @@ const rateLimiter = rateLimit({
   max: config.rateLimit.maxRequests,
   standardHeaders: true,
   legacyHeaders: false,
-  handler: (req, res) => {
-    logger.warn('API', `Rate limit exceeded for IP: ${req.ip}`);
-    res.status(429).json({
-      success: false,
-      error: 'Too many requests',
-      message: `Maximum ${config.rateLimit.maxRequests} requests per ${config.rateLimit.windowMs / 1000} seconds`,
-      retryAfter: Math.ceil(config.rateLimit.windowMs / 1000)
-    });
-  }
+  store: rateLimitStore,
+  keyGenerator: rateLimitKey,
+  handler: rateLimitExceeded
 });
 
+/**
+ * Weighted rate limiting middleware - charges a request as several hits against
+ * the shared rate limiter (the global limiter has already counted the first hit)
+ * Requests that don't fit in the remaining budget are rejected without being
+ * charged their extra hits.
+ * @param {Function} getWeight - Returns the number of hits a request costs
+ */
+const weightedRateLimit = getWeight => {
+  return async (req, res, next) => {
+    const extraHits = Math.max(getWeight(req) - 1, 0);
+    const key = rateLimitKey(req);
+    const { totalHits = 0 } = (await rateLimitStore.get(key)) || {};
+
+    if (totalHits + extraHits > config.rateLimit.maxRequests) {
+      return rateLimitExceeded(req, res);
+    }
+
+    let charged = totalHits;
+    for (let i = 0; i < extraHits; i++) {
+      ({ totalHits: charged } = await rateLimitStore.increment(key));
+    }
+
+    // The global limiter reported its budget before the extra hits were charged
+    if (extraHits > 0) {
+      const remaining = Math.max(config.rateLimit.maxRequests - charged, 0);
+      res.set('RateLimit-Remaining', String(remaining));
+      if (req.rateLimit) {
+        req.rateLimit.used = charged;
+        req.rateLimit.remaining = remaining;
+      }
+    }
+
+    next();
+  };
+};
+
 /**
  * Request logging middleware
  */
@@ -68,6 +119,7 @@ const errorHandler = (err, req, res, next) => {
 
 module.exports = {
   rateLimit: rateLimiter,
+  weightedRateLimit,
   requestLogger,
   errorHandler,
   urlSizeLimit
@@ -0,0 +1,51 @@
+/**
+ * Query parameter parsing helpers shared by list and search endpoints
+ */
+
+/**
+ * Parse an integer query parameter within a range
+ * @param {*} value - Raw query value
+ * @param {Object} options - { min, max, defaultValue }
+ * @returns {number|null} Parsed integer, the default when omitted, or null if invalid
+ */
+const parseIntegerParam = (value, { min, max, defaultValue }) => {
+  if (value === undefined || value === '') return defaultValue;
+  if (typeof value !== 'string' || !/^-?\d+$/.test(value)) return null;
+
+  const parsed = parseInt(value, 10);
+  if (parsed < min || parsed > max) return null;
+  return parsed;
+};
+
+/**
+ * Parse limit/offset pagination parameters
+ * @param {Object} query - Request query parameters
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {Object} { limit, offset } or { error } describing the invalid parameter
+ */
+const parsePagination = (query, { defaultLimit = 25, maxLimit = 100 } = {}) => {
+  const limit = parseIntegerParam(query.limit, {
+    min: 1,
+    max: maxLimit,
+    defaultValue: defaultLimit
+  });
+  if (limit === null) {
+    return { error: `limit must be an integer between 1 and ${maxLimit}` };
+  }
+
+  const offset = parseIntegerParam(query.offset, {
+    min: 0,
+    max: Number.MAX_SAFE_INTEGER,
+    defaultValue: 0
+  });
+  if (offset === null) {
+    return { error: 'offset must be a non-negative integer' };
+  }
+
+  return { limit, offset };
+};
+
+module.exports = {
+  parseIntegerParam,
+  parsePagination
+};
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+/**
+ * Seeded pseudo-random number helpers so random results can be replayed
+ */
+
+// Seeds are short URL-safe strings
+const SEED_REGEX = /^[\w-]{1,64}$/;
+
+/**
+ * Check if a value is a usable seed
+ */
+const isValidSeed = seed => typeof seed === 'string' && SEED_REGEX.test(seed);
+
+/**
+ * Generate a new random seed
+ */
+const generateSeed = () => crypto.randomBytes(4).toString('hex');
+
+/**
+ * Hash a seed string into a 32-bit integer (xmur3)
+ */
+const hashSeed = seed => {
+  let hash = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353);
+    hash = (hash << 13) | (hash >>> 19);
+  }
+  hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+  hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+  return (hash ^ (hash >>> 16)) >>> 0;
+};
+
+/**
+ * Create a deterministic random function (mulberry32) returning numbers in [0, 1)
+ * @param {string} seed - Seed string
+ * @returns {Function} Drop-in replacement for Math.random
+ */
+const createSeededRandom = seed => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+module.exports = {
+  isValidSeed,
+  generateSeed,
+  createSeededRandom
+};
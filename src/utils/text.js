@@ -0,0 +1,29 @@
+/**
+ * Text comparison helpers for fuzzy name matching
+ */
+
+/**
+ * Levenshtein edit distance between two strings (insertions, deletions, substitutions)
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+module.exports = {
+  editDistance
+};
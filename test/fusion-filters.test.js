@@ -0,0 +1,161 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fusionRoutes = require('../src/routes/fusion.routes');
+const FusionService = require('../src/services/fusion.service');
+const ImageService = require('../src/services/image.service');
+const PokemonService = require('../src/services/pokemon.service');
+const { createSeededRandom } = require('../src/utils/random');
+const { silenceLogs, loadFixtures, listen } = require('./helpers');
+
+/**
+ * Every fixture pair matching the filters, checked pair by pair
+ */
+const bruteForceMatches = (filters, { headPokemon, bodyPokemon } = {}) => {
+  const ids = PokemonService.getAllPokemonIds();
+  const partMatches = (id, name, partType) =>
+    name
+      ? id === PokemonService.getPokemonIndex(name)
+      : (!partType || PokemonService.getPokemonTypes(id).includes(partType)) &&
+        (!filters.excludeLegendary || !PokemonService.isLegendary(id));
+
+  const matches = [];
+  for (const head of ids) {
+    for (const body of ids) {
+      const types = FusionService.calculateTypes(
+        PokemonService.getPokemonById(head),
+        PokemonService.getPokemonById(body)
+      );
+      const source = ImageService.getSpriteSource(head, body);
+      if (
+        partMatches(head, headPokemon, filters.headType) &&
+        partMatches(body, bodyPokemon, filters.bodyType) &&
+        (!filters.type || types.includes(filters.type)) &&
+        (!filters.spriteSource ||
+          (filters.spriteSource === 'any'
+            ? source !== null
+            : source === filters.spriteSource))
+      ) {
+        matches.push(`${head}.${body}`);
+      }
+    }
+  }
+  return matches.sort();
+};
+
+/**
+ * Every distinct pair picked over many seeded draws
+ */
+const pickedPairs = (query, pokemon = {}) => {
+  const { options } = FusionService.validateRandomFilters(query);
+  const random = createSeededRandom(JSON.stringify(query));
+  const picked = new Set();
+  for (let i = 0; i < 300; i++) {
+    const pair = FusionService.pickFilteredPair(
+      { ...options, ...pokemon },
+      random
+    );
+    picked.add(pair.join('.'));
+  }
+  return [...picked].sort();
+};
+
+describe('FusionService.pickFilteredPair', () => {
+  let fixtures;
+
+  before(async () => {
+    silenceLogs();
+    fixtures = await loadFixtures();
+  });
+
+  after(() => fixtures.cleanup());
+
+  const cases = [
+    { type: 'dragon' },
+    { type: 'fire', excludeLegendary: 'true' },
+    { spriteSource: 'custom' },
+    { spriteSource: 'autogen' },
+    { spriteSource: 'any', type: 'FLYING' },
+    { spriteSource: 'any', headType: 'GRASS' },
+    { headType: 'ELECTRIC', bodyType: 'flying', excludeLegendary: 'true' }
+  ];
+
+  for (const query of cases) {
+    it(`picks exactly the matching pairs for ${new URLSearchParams(query)}`, () => {
+      const { options } = FusionService.validateRandomFilters(query);
+      const expected = bruteForceMatches(options.filters);
+
+      assert.ok(expected.length > 0);
+      assert.deepEqual(pickedPairs(query), expected);
+    });
+  }
+
+  it('keeps an explicitly requested part', () => {
+    const query = { type: 'FLYING' };
+    const { options } = FusionService.validateRandomFilters(query);
+
+    assert.deepEqual(
+      pickedPairs(query, { headPokemon: 'Squirtle' }),
+      bruteForceMatches(options.filters, { headPokemon: 'Squirtle' })
+    );
+  });
+
+  it('prefers custom sprites over autogen ones for the same pair', () => {
+    assert.ok(!pickedPairs({ spriteSource: 'autogen' }).includes('1.4'));
+    assert.ok(pickedPairs({ spriteSource: 'custom' }).includes('1.4'));
+  });
+
+  it('returns null when nothing matches', () => {
+    const { options } = FusionService.validateRandomFilters({
+      type: 'GHOST'
+    });
+    assert.equal(FusionService.pickFilteredPair(options, Math.random), null);
+  });
+});
+
+describe('filtered fusion requests', () => {
+  let fixtures;
+  let server;
+
+  before(async () => {
+    silenceLogs();
+    fixtures = await loadFixtures();
+    const app = express();
+    app.use('/api/fusion', fusionRoutes);
+    server = await listen(app);
+  });
+
+  after(async () => {
+    await server.close();
+    await fixtures.cleanup();
+  });
+
+  const getTypes = async query => {
+    const params = new URLSearchParams(query);
+    const response = await fetch(
+      `${server.baseUrl}/api/fusion/types?${params}`
+    );
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('returns a fusion of the requested type', async () => {
+    const { status, body } = await getTypes({ type: 'dragon', seed: 'd' });
+
+    assert.equal(status, 200);
+    assert.ok(body.data.types.some(type => type.name === 'DRAGON'));
+  });
+
+  it('responds 404 when no fusion matches', async () => {
+    const { status, body } = await getTypes({ headGeneration: '2' });
+
+    assert.equal(status, 404);
+    assert.equal(body.success, false);
+  });
+
+  it('rejects unknown filter values', async () => {
+    const { status, body } = await getTypes({ bodyType: 'SHADOW' });
+
+    assert.equal(status, 400);
+    assert.equal(body.message, 'Unknown bodyType: SHADOW');
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const FusionService = require('../src/services/fusion.service');
+const { silenceLogs, loadFixtures } = require('./helpers');
+
+describe('FusionService.calculateTypeEffectiveness', () => {
+  it('multiplies the chart entries for each defending type', () => {
+    assert.equal(
+      FusionService.calculateTypeEffectiveness('ELECTRIC', ['WATER', 'FLYING']),
+      4
+    );
+    assert.equal(
+      FusionService.calculateTypeEffectiveness('FIRE', ['WATER', 'DRAGON']),
+      0.25
+    );
+    assert.equal(
+      FusionService.calculateTypeEffectiveness('GROUND', ['FIRE', 'FLYING']),
+      0
+    );
+    assert.equal(
+      FusionService.calculateTypeEffectiveness('NORMAL', ['FIRE']),
+      1
+    );
+  });
+});
+
+describe('FusionService.calculateMatchups', () => {
+  it('buckets every attacking type by the damage the typing takes', () => {
+    const { defensive } = FusionService.calculateMatchups(['FIRE', 'FLYING']);
+
+    assert.deepEqual(defensive['4x'], ['ROCK']);
+    assert.deepEqual(defensive['2x'], ['WATER', 'ELECTRIC']);
+    assert.deepEqual(defensive['0.25x'], ['GRASS', 'BUG']);
+    assert.deepEqual(defensive['0x'], ['GROUND']);
+
+    const bucketed = Object.values(defensive).flat().sort();
+    assert.equal(bucketed.length, 18);
+    assert.equal(new Set(bucketed).size, 18);
+  });
+
+  it('rates offensive coverage by the best STAB multiplier', () => {
+    const { offensive } = FusionService.calculateMatchups(['FIRE', 'FLYING']);
+
+    assert.deepEqual(offensive['2x'], [
+      'GRASS',
+      'ICE',
+      'FIGHTING',
+      'BUG',
+      'STEEL'
+    ]);
+    // Flying covers Dragon and Fire covers Steel; only Rock resists both
+    assert.deepEqual(offensive['0.5x'], ['ROCK']);
+    assert.deepEqual(offensive['0x'], []);
+  });
+
+  it('reports immunities a single STAB type cannot cover', () => {
+    const { offensive } = FusionService.calculateMatchups(['NORMAL']);
+    assert.deepEqual(offensive['0x'], ['GHOST']);
+  });
+});
+
+describe('FusionService.getFusionMatchups', () => {
+  let fixtures;
+
+  before(async () => {
+    silenceLogs();
+    fixtures = await loadFixtures();
+  });
+
+  after(() => fixtures.cleanup());
+
+  it('computes matchups for the fused typing', async () => {
+    const result = await FusionService.getFusionMatchups({
+      headPokemon: 'Charizard',
+      bodyPokemon: 'Bulbasaur'
+    });
+
+    // Head's first type, body's second type
+    assert.deepEqual(
+      result.types.map(type => type.name),
+      ['FIRE', 'POISON']
+    );
+    assert.deepEqual(result.defensive['4x'], ['GROUND']);
+    assert.deepEqual(result.defensive['2x'], ['WATER', 'PSYCHIC', 'ROCK']);
+    assert.deepEqual(result.defensive['0.25x'], ['GRASS', 'BUG', 'FAIRY']);
+  });
+
+  it('types a Normal/Flying head as Flying', async () => {
+    const result = await FusionService.getFusionMatchups({
+      headPokemon: 'Pidgey',
+      bodyPokemon: 'Bulbasaur'
+    });
+
+    assert.deepEqual(
+      result.types.map(type => type.name),
+      ['FLYING', 'POISON']
+    );
+    assert.deepEqual(result.defensive['0x'], ['GROUND']);
+  });
+});
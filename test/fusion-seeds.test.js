@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fusionRoutes = require('../src/routes/fusion.routes');
+const { createSeededRandom } = require('../src/utils/random');
+const { silenceLogs, loadFixtures, listen } = require('./helpers');
+
+describe('createSeededRandom', () => {
+  it('replays the same sequence for the same seed', () => {
+    const first = createSeededRandom('replay');
+    const second = createSeededRandom('replay');
+    const sequence = Array.from({ length: 20 }, () => first());
+
+    assert.deepEqual(
+      Array.from({ length: 20 }, () => second()),
+      sequence
+    );
+    assert.ok(sequence.every(value => value >= 0 && value < 1));
+  });
+
+  it('gives different seeds different sequences', () => {
+    assert.notEqual(createSeededRandom('a')(), createSeededRandom('b')());
+  });
+});
+
+describe('seeded fusion requests', () => {
+  let fixtures;
+  let server;
+
+  before(async () => {
+    silenceLogs();
+    fixtures = await loadFixtures();
+    const app = express();
+    app.use('/api/fusion', fusionRoutes);
+    server = await listen(app);
+  });
+
+  after(async () => {
+    await server.close();
+    await fixtures.cleanup();
+  });
+
+  const getFusion = async (path, query = {}) => {
+    const params = new URLSearchParams(query);
+    const response = await fetch(
+      `${server.baseUrl}/api/fusion${path}?${params}`
+    );
+    return { status: response.status, body: await response.json() };
+  };
+
+  // Everything except the generation time
+  const fusionOf = ({ data: { timestamp, ...fusion } }) => fusion;
+
+  it('replays the same fusion for the same seed', async () => {
+    const first = await getFusion('', { seed: 'replay-me' });
+    const second = await getFusion('', { seed: 'replay-me' });
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.seed, 'replay-me');
+    assert.deepEqual(fusionOf(second.body), fusionOf(first.body));
+  });
+
+  it('returns a generated seed that replays the response', async () => {
+    const first = await getFusion('/stats');
+    assert.match(first.body.seed, /^[0-9a-f]{8}$/);
+
+    const replay = await getFusion('/stats', { seed: first.body.seed });
+    assert.deepEqual(replay.body.data, first.body.data);
+  });
+
+  it('only randomizes the parts that are not given', async () => {
+    const results = [];
+    for (const seed of ['s1', 's2', 's3', 's4', 's5', 's6']) {
+      const { body } = await getFusion('/names', { head: 'Pikachu', seed });
+      results.push(body.data);
+    }
+
+    assert.ok(results.every(names => names.leftPokemonName === 'Pikachu'));
+    assert.ok(new Set(results.map(names => names.rightPokemonName)).size > 1);
+  });
+
+  it('rejects seeds that are not URL-safe', async () => {
+    const { status, body } = await getFusion('', { seed: 'not a seed' });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.provided, { seed: 'not a seed' });
+  });
+});
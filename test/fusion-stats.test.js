@@ -0,0 +1,183 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const FusionService = require('../src/services/fusion.service');
+const { silenceLogs, loadFixtures } = require('./helpers');
+
+describe('FusionService.calculateBaseStats', () => {
+  let fixtures;
+
+  before(async () => {
+    silenceLogs();
+    fixtures = await loadFixtures();
+  });
+
+  after(() => fixtures.cleanup());
+
+  it('weights head stats towards the head and body stats towards the body', async () => {
+    const { stats } = await FusionService.getFusionStats({
+      headPokemon: 'Charmander',
+      bodyPokemon: 'Bulbasaur'
+    });
+
+    // floor(2 * dominant / 3) + floor(other / 3)
+    assert.deepEqual(stats, {
+      HP: 41,
+      SPECIAL_DEFENSE: 54,
+      SPECIAL_ATTACK: 61,
+      ATTACK: 49,
+      DEFENSE: 46,
+      SPEED: 51,
+      TOTAL: 302
+    });
+  });
+
+  it('computes battle stats from validated stat options', async () => {
+    const { options } = FusionService.validateStatOptions({
+      level: '50',
+      ivs: '31',
+      evs: '0,252,0,0,4,252',
+      nature: 'adamant'
+    });
+    const result = await FusionService.getFusionStats({
+      headPokemon: 'Charmander',
+      bodyPokemon: 'Bulbasaur',
+      ...options
+    });
+
+    assert.equal(result.nature, 'ADAMANT');
+    assert.deepEqual(result.battleStats, {
+      HP: 116,
+      ATTACK: 111,
+      DEFENSE: 66,
+      SPECIAL_ATTACK: 72,
+      SPECIAL_DEFENSE: 75,
+      SPEED: 103,
+      TOTAL: 543
+    });
+    assert.equal(result.statRanges, undefined);
+  });
+});
+
+describe('FusionService.calculateStat', () => {
+  // Level 78 Garchomp: HP 24 IV / 74 EV, Adamant Attack 12 IV / 190 EV
+  it('matches the standard stat formulas', () => {
+    assert.equal(FusionService.calculateStat('HP', 108, 24, 74, 78, 1), 289);
+    assert.equal(
+      FusionService.calculateStat('ATTACK', 130, 12, 190, 78, 1.1),
+      278
+    );
+    assert.equal(
+      FusionService.calculateStat('SPECIAL_ATTACK', 80, 16, 48, 78, 0.9),
+      135
+    );
+  });
+
+  it('ignores the nature modifier for HP', () => {
+    assert.equal(
+      FusionService.calculateStat('HP', 108, 24, 74, 78, 1.1),
+      FusionService.calculateStat('HP', 108, 24, 74, 78, 0.9)
+    );
+  });
+});
+
+describe('FusionService.calculateBattleStats', () => {
+  const baseStats = {
+    HP: 41,
+    ATTACK: 49,
+    DEFENSE: 46,
+    SPECIAL_ATTACK: 61,
+    SPECIAL_DEFENSE: 54,
+    SPEED: 51
+  };
+
+  it('returns ranges over IVs, EVs and natures when they are omitted', () => {
+    const { statRanges, battleStats } = FusionService.calculateBattleStats(
+      baseStats,
+      { level: 100, ivs: null, evs: null, nature: null }
+    );
+
+    assert.equal(battleStats, undefined);
+    assert.deepEqual(statRanges.HP, { min: 192, max: 286 });
+    assert.deepEqual(statRanges.ATTACK, { min: 92, max: 216 });
+  });
+
+  it('applies a given nature to both ends of the range', () => {
+    const { statRanges } = FusionService.calculateBattleStats(baseStats, {
+      level: 100,
+      ivs: null,
+      evs: null,
+      nature: 'MODEST'
+    });
+
+    // Modest raises Special Attack and lowers Attack
+    assert.deepEqual(statRanges.ATTACK, { min: 92, max: 177 });
+    assert.deepEqual(statRanges.SPECIAL_ATTACK, { min: 139, max: 243 });
+    assert.deepEqual(statRanges.DEFENSE, { min: 97, max: 191 });
+  });
+
+  it('treats neutral natures as no modifier', () => {
+    const options = { level: 100, ivs: null, evs: null };
+    const hardy = FusionService.calculateBattleStats(baseStats, {
+      ...options,
+      nature: 'HARDY'
+    });
+
+    assert.deepEqual(hardy.statRanges.ATTACK, { min: 103, max: 197 });
+  });
+});
+
+describe('FusionService.validateStatOptions', () => {
+  it('returns no stat options when none are given', () => {
+    assert.deepEqual(FusionService.validateStatOptions({}), {
+      valid: true,
+      options: {}
+    });
+  });
+
+  it('defaults the level to 100 and spreads a single IV over every stat', () => {
+    const { valid, options } = FusionService.validateStatOptions({ ivs: '20' });
+
+    assert.equal(valid, true);
+    assert.equal(options.statOptions.level, 100);
+    assert.deepEqual(
+      Object.values(options.statOptions.ivs),
+      [20, 20, 20, 20, 20, 20]
+    );
+    assert.equal(options.statOptions.evs, null);
+  });
+
+  it('rejects a single EV value', () => {
+    const { valid, error } = FusionService.validateStatOptions({ evs: '85' });
+
+    assert.equal(valid, false);
+    assert.match(error.message, /evs must be 6 comma-separated values/);
+  });
+
+  it('rejects EVs totalling more than 510', () => {
+    const { valid, error } = FusionService.validateStatOptions({
+      evs: '252,252,4,4,0,0'
+    });
+
+    assert.equal(valid, false);
+    assert.match(error.message, /evs must not total more than 510/);
+  });
+
+  it('rejects out of range values and unknown natures together', () => {
+    const { valid, error } = FusionService.validateStatOptions({
+      level: '101',
+      ivs: '32',
+      nature: 'sleepy'
+    });
+
+    assert.equal(valid, false);
+    assert.match(error.message, /level must be an integer between 1 and 100/);
+    assert.match(error.message, /ivs must be one value or 6/);
+    assert.match(error.message, /nature must be one of/);
+    assert.deepEqual(error.provided, {
+      level: '101',
+      ivs: '32',
+      evs: undefined,
+      nature: 'sleepy'
+    });
+  });
+});
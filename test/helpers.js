@@ -0,0 +1,142 @@
+const { mock } = require('node:test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const PokemonService = require('../src/services/pokemon.service');
+const ImageService = require('../src/services/image.service');
+const FusionService = require('../src/services/fusion.service');
+
+/**
+ * Shared helpers for the test suite
+ */
+
+// Small Pokedex used instead of the Infinite Fusion data files
+const FIXTURE_POKEMON = [
+  [1, 'Bulbasaur', ['GRASS', 'POISON'], [45, 49, 49, 65, 65, 45]],
+  [4, 'Charmander', ['FIRE'], [39, 52, 43, 60, 50, 65]],
+  [6, 'Charizard', ['FIRE', 'FLYING'], [78, 84, 78, 109, 85, 100]],
+  [7, 'Squirtle', ['WATER'], [44, 48, 65, 50, 64, 43]],
+  [16, 'Pidgey', ['NORMAL', 'FLYING'], [40, 45, 40, 35, 35, 56]],
+  [25, 'Pikachu', ['ELECTRIC'], [35, 55, 40, 50, 50, 90]],
+  [29, 'Nidoran♀', ['POISON'], [55, 47, 52, 40, 40, 41]],
+  [32, 'Nidoran♂', ['POISON'], [46, 57, 40, 40, 40, 50]],
+  [83, "Farfetch'd", ['NORMAL', 'FLYING'], [52, 90, 55, 58, 62, 60]],
+  [122, 'Mr. Mime', ['PSYCHIC', 'FAIRY'], [40, 45, 65, 100, 120, 90]],
+  [144, 'Articuno', ['ICE', 'FLYING'], [90, 85, 100, 95, 125, 85]],
+  [145, 'Zapdos', ['ELECTRIC', 'FLYING'], [90, 90, 85, 125, 90, 100]],
+  [146, 'Moltres', ['FIRE', 'FLYING'], [90, 100, 90, 125, 85, 90]],
+  [149, 'Dragonite', ['DRAGON', 'FLYING'], [91, 134, 95, 100, 100, 80]],
+  [150, 'Mewtwo', ['PSYCHIC'], [106, 110, 90, 154, 90, 130]]
+];
+
+const FIXTURE_ABILITIES = {
+  4: { abilities: ['Blaze'], hiddenAbilities: ['Solar Power'] },
+  16: {
+    abilities: ['Keen Eye', 'Tangled Feet'],
+    hiddenAbilities: ['Big Pecks']
+  }
+};
+
+// Sprite files by directory; custom 1.4 also has an autogen sprite it overrides
+const FIXTURE_SPRITES = {
+  custom: ['1.4.png', '149.6.png', '6.149.png'],
+  'autogen/1': ['1.4.png', '1.25.png'],
+  'autogen/16': ['16.6.png']
+};
+
+const FIXTURE_DEX_ENTRIES = [
+  { sprite: '1.4.png', entry: 'POKENAME one.', author: 'Alice' },
+  { sprite: '1.4.png', entry: 'POKENAME two.', author: 'Bob' }
+];
+
+/**
+ * Write the fixture data set to a temporary directory and initialize the
+ * services from it
+ */
+const loadFixtures = async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pokefusion-test-'));
+
+  const fusionDex = {};
+  for (const [id, fullName, types, stats] of FIXTURE_POKEMON) {
+    const [hp, attack, defense, specialAttack, specialDefense, speed] = stats;
+    fusionDex[fullName] = {
+      id: String(id),
+      fullName,
+      types,
+      hp,
+      attack,
+      defense,
+      specialAttack,
+      specialDefense,
+      speed,
+      pokedexEntry: `${fullName} is a fixture. It lives in tests.`,
+      category: 'Fixture Pokémon',
+      height: '1 m',
+      weight: '10 kg'
+    };
+  }
+
+  const files = {
+    'fusiondex_data.json': JSON.stringify(fusionDex),
+    'abilities_data.json': JSON.stringify(FIXTURE_ABILITIES),
+    'dex.json': JSON.stringify(FIXTURE_DEX_ENTRIES),
+    'sprite_credits.csv': 'sprite,artist\n1.4,Alice & Bob\n'
+  };
+  for (const [name, content] of Object.entries(files)) {
+    await fs.writeFile(path.join(dir, name), content);
+  }
+  for (const [spriteDir, sprites] of Object.entries(FIXTURE_SPRITES)) {
+    await fs.mkdir(path.join(dir, spriteDir), { recursive: true });
+    for (const sprite of sprites) {
+      await fs.writeFile(path.join(dir, spriteDir, sprite), '');
+    }
+  }
+
+  PokemonService.FUSIONDEX_DATA_PATH = path.join(dir, 'fusiondex_data.json');
+  PokemonService.ABILITIES_DATA_PATH = path.join(dir, 'abilities_data.json');
+  PokemonService.MOVES_DATA_PATH = path.join(dir, 'moves_data.json');
+  PokemonService.LEARNSETS_DATA_PATH = path.join(dir, 'learnsets_data.json');
+  PokemonService.EVOLUTIONS_DATA_PATH = path.join(dir, 'evolutions_data.json');
+  ImageService.CUSTOM_DIR = path.join(dir, 'custom');
+  ImageService.AUTOGEN_DIR = path.join(dir, 'autogen');
+  ImageService.BASE_DIR = path.join(dir, 'base');
+  ImageService.TRIPLES_DIR = path.join(dir, 'triples');
+  ImageService.CREDITS_PATH = path.join(dir, 'sprite_credits.csv');
+  FusionService.CUSTOM_POKEDEX_PATH = path.join(dir, 'dex.json');
+
+  await ImageService.initialize();
+  await PokemonService.initialize();
+  await FusionService.initialize();
+
+  return { cleanup: () => fs.rm(dir, { recursive: true, force: true }) };
+};
+
+/**
+ * Silence the application logger for the rest of the test file
+ */
+const silenceLogs = () => {
+  for (const method of ['log', 'warn', 'error']) {
+    mock.method(console, method, () => {});
+  }
+};
+
+/**
+ * Start an Express app on a random port
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+const listen = app =>
+  new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve))
+      });
+    });
+  });
+
+module.exports = {
+  FIXTURE_POKEMON,
+  loadFixtures,
+  silenceLogs,
+  listen
+};
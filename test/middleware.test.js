@@ -0,0 +1,106 @@
+// Configure a small budget before the config module is loaded
+process.env.RATE_LIMIT_MAX_REQUESTS = '10';
+process.env.RATE_LIMIT_WINDOW_MS = '60000';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { rateLimit, weightedRateLimit } = require('../src/utils/middleware');
+const FusionController = require('../src/controllers/fusion.controller');
+const ImageController = require('../src/controllers/image.controller');
+const { silenceLogs, listen } = require('./helpers');
+
+describe('weightedRateLimit', () => {
+  let server;
+  let clientCount = 0;
+
+  before(async () => {
+    silenceLogs();
+    const app = express();
+    app.set('trust proxy', 'loopback');
+    app.use(rateLimit);
+    app.get(
+      '/weighted',
+      weightedRateLimit(req => Number(req.query.weight)),
+      (req, res) => res.json({ success: true })
+    );
+    server = await listen(app);
+  });
+
+  after(() => server.close());
+
+  // Each test gets its own client IP, and so its own budget
+  const createClient = () => {
+    const ip = `10.0.0.${++clientCount}`;
+    return weight =>
+      fetch(`${server.baseUrl}/weighted?weight=${weight}`, {
+        headers: { 'X-Forwarded-For': ip }
+      });
+  };
+
+  it('charges the full weight and reports the remaining budget', async () => {
+    const request = createClient();
+
+    const first = await request(3);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-remaining'), '7');
+
+    const second = await request(1);
+    assert.equal(second.status, 200);
+    assert.equal(second.headers.get('ratelimit-remaining'), '6');
+  });
+
+  it('rejects a request that does not fit without charging its extra hits', async () => {
+    const request = createClient();
+
+    assert.equal((await request(8)).status, 200);
+    assert.equal((await request(5)).status, 429);
+
+    // Only the rejected request's first hit was counted: 8 + 1 of 10 used
+    const next = await request(1);
+    assert.equal(next.status, 200);
+    assert.equal(next.headers.get('ratelimit-remaining'), '0');
+    assert.equal((await request(1)).status, 429);
+  });
+
+  it('accepts a request that uses exactly the whole budget', async () => {
+    const request = createClient();
+
+    const response = await request(10);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('ratelimit-remaining'), '0');
+  });
+});
+
+describe('request weights', () => {
+  it('charges batches one hit per started group of pairs', () => {
+    const weight = size =>
+      FusionController.getBatchWeight({ body: Array(size).fill({}) });
+
+    assert.equal(weight(1), 1);
+    assert.equal(weight(50), 1);
+    assert.equal(weight(51), 2);
+    assert.equal(weight(200), 4);
+  });
+
+  it('charges oversized or malformed batches a single hit', () => {
+    assert.equal(
+      FusionController.getBatchWeight({ body: Array(201).fill({}) }),
+      1
+    );
+    assert.equal(FusionController.getBatchWeight({ body: { head: 1 } }), 1);
+  });
+
+  it('charges grids by cell count and oversized grids a single hit', () => {
+    const ids = count =>
+      Array.from({ length: count }, (_, i) => i + 1).join(',');
+    const weight = (heads, bodies) =>
+      ImageController.getGridWeight({
+        query: { heads: ids(heads), bodies: ids(bodies) }
+      });
+
+    assert.equal(weight(5, 5), 1);
+    assert.equal(weight(10, 20), 8);
+    assert.equal(weight(20, 20), 1);
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fusionRoutes = require('../src/routes/fusion.routes');
+const PokemonService = require('../src/services/pokemon.service');
+const { editDistance } = require('../src/utils/text');
+const { silenceLogs, loadFixtures, listen } = require('./helpers');
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    assert.equal(editDistance('charmander', 'charmander'), 0);
+    assert.equal(editDistance('charmandr', 'charmander'), 1);
+    assert.equal(editDistance('pikahcu', 'pikachu'), 2);
+    assert.equal(editDistance('', 'abc'), 3);
+  });
+});
+
+describe('PokemonService name matching', () => {
+  let fixtures;
+
+  before(async () => {
+    silenceLogs();
+    fixtures = await loadFixtures();
+  });
+
+  after(() => fixtures.cleanup());
+
+  it('ignores case, punctuation, spaces and accents', () => {
+    for (const name of ['mr mime', 'MR. MIME', 'mr-mime', 'Mr.Mime']) {
+      assert.equal(PokemonService.normalizePokemonName(name), 'Mr. Mime');
+    }
+    assert.equal(
+      PokemonService.normalizePokemonName('farfetchd'),
+      "Farfetch'd"
+    );
+    assert.equal(PokemonService.normalizePokemonName('Pikachú'), 'Pikachu');
+  });
+
+  it('matches gender symbols and their aliases', () => {
+    assert.equal(PokemonService.normalizePokemonName('nidoran-f'), 'Nidoran♀');
+    assert.equal(PokemonService.normalizePokemonName('Nidoran M'), 'Nidoran♂');
+    assert.equal(
+      PokemonService.normalizePokemonName('nidoran female'),
+      'Nidoran♀'
+    );
+    assert.equal(
+      PokemonService.normalizePokemonName('farfetched'),
+      "Farfetch'd"
+    );
+  });
+
+  it('skips aliases of Pokemon missing from the data', () => {
+    assert.equal(PokemonService.normalizePokemonName('mime junior'), null);
+  });
+
+  it('returns null for unknown names', () => {
+    assert.equal(PokemonService.normalizePokemonName('Charmandr'), null);
+    assert.equal(PokemonService.normalizePokemonName(''), null);
+  });
+
+  it('suggests close spellings, closest first', () => {
+    assert.deepEqual(PokemonService.suggestPokemonNames('Charmandr'), [
+      'Charmander'
+    ]);
+    assert.deepEqual(PokemonService.suggestPokemonNames('pikahcu'), [
+      'Pikachu'
+    ]);
+    // Prefix matches come before names a few edits away
+    assert.deepEqual(PokemonService.suggestPokemonNames('char'), [
+      'Charizard',
+      'Charmander'
+    ]);
+    assert.deepEqual(PokemonService.suggestPokemonNames('nidoran'), [
+      'Nidoran♀',
+      'Nidoran♂'
+    ]);
+  });
+
+  it('does not suggest names for numbers or distant spellings', () => {
+    assert.deepEqual(PokemonService.suggestPokemonNames('25'), []);
+    assert.deepEqual(PokemonService.suggestPokemonNames('Garchomp'), []);
+  });
+});
+
+describe('lenient fusion requests', () => {
+  let fixtures;
+  let server;
+
+  before(async () => {
+    silenceLogs();
+    fixtures = await loadFixtures();
+    const app = express();
+    app.use('/api/fusion', fusionRoutes);
+    server = await listen(app);
+  });
+
+  after(async () => {
+    await server.close();
+    await fixtures.cleanup();
+  });
+
+  const getNames = async query => {
+    const params = new URLSearchParams(query);
+    const response = await fetch(
+      `${server.baseUrl}/api/fusion/names?${params}`
+    );
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('accepts loosely written names', async () => {
+    const { status, body } = await getNames({
+      head: 'mr mime',
+      body: 'NIDORAN-F'
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.leftPokemonName, 'Mr. Mime');
+    assert.equal(body.data.rightPokemonName, 'Nidoran♀');
+  });
+
+  it('suggests names for an unknown Pokemon', async () => {
+    const { status, body } = await getNames({
+      head: 'Pikachu',
+      body: 'Charmandr'
+    });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /Invalid body Pokemon: Charmandr/);
+    assert.deepEqual(body.suggestions, ['Charmander']);
+  });
+});